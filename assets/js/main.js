@@ -5,6 +5,8 @@ import { Database } from './modules/database.js';
 import { Auth } from './modules/auth.js';
 import { Calculations } from './modules/calculations.js';
 import { UI } from './modules/ui.js';
+import { StrategyShare } from './modules/share.js';
+import { StrategyEngine } from './modules/engine.js';
 
 class FerrariApp {
     constructor() {
@@ -14,6 +16,9 @@ class FerrariApp {
         this.database = new Database(this.config.firebaseConfig);
         this.auth = new Auth(this.database);
         this.calculations = new Calculations();
+        this.share = new StrategyShare();
+        this.safetyCarImpact = null; // { key, result } of the last per-lap safety car analysis
+        this.saveQueue = Promise.resolve(); // strategy saves, one at a time
         
         // Application state
         this.state = {
@@ -31,11 +36,56 @@ class FerrariApp {
                 circuit: null,
                 stat: null
             },
+            optimization: null,
+            riskAnalysis: null,
+            calibrationProfiles: [],
+            calibrationDraft: null,
+            telemetry: [],
+            telemetryFit: null,
+            regulations: {},        // race-specific rules by category and circuit
+            strategies: [],         // the user's saved strategies, all circuits
+            lastUsedStrategies: {}, // strategy id last opened on each circuit
+            sharedStrategy: null,   // { ownStrategy } while a share link is open read-only
+            importErrors: null,     // { fileName, error, errors } of the last rejected import
+            history: {
+                strategyId: null,
+                versions: [],       // saved versions of the open strategy, oldest first
+                position: -1,       // version on screen (undo/redo move it)
+                diffFrom: null,     // version ids compared in the diff view (null = defaults)
+                diffTo: null,
+                open: false
+            },
+            undercut: {
+                gap: 1.5,
+                pitLoss: null,      // null = the circuit's pit-lane loss
+                window: 5,
+                rivalStints: null
+            },
+            safetyCar: {
+                type: 'SC',
+                laps: null,         // null = the type's usual length
+                step: 5,            // laps between rows of the best-plan table
+                plans: null,
+                progress: null      // { done, total } while the best-plan table is being computed
+            },
+            solver: {
+                compound: 'M',
+                laps: 15,
+                targetRemaining: 30,
+                fuelLaps: 15,
+                tankLimit: 40,
+                boost: 'neutral'
+            },
             strategy: {
+                id: Utils.generateId(),
+                name: 'Estrategia 1',
+                favourite: false,
                 circuit: 'FRA',
                 tyrePoints: 49,
                 fuelPoints: 100,
-                stints: [{ compound: 'M', laps: 6, boost: 'neutral' }]
+                stints: [{ compound: 'M', laps: 6, boost: 'neutral' }],
+                weather: [],
+                category: 'F1'
             }
         };
 
@@ -53,9 +103,10 @@ class FerrariApp {
             // Initialize data subscriptions
             await this.initializeDataSubscriptions();
 
-            // Load user strategy if authenticated
+            // Load user strategies if authenticated
             if (this.auth.isAuthenticated()) {
-                await this.loadUserStrategy();
+                await this.loadUserStrategies();
+                this.openSharedLink();
             }
 
             // Initial render
@@ -138,36 +189,321 @@ class FerrariApp {
             this.state.customStats = data ? Object.values(data) : this.config.getDefaultCustomStats();
             if (this.state.currentSection === 'drivers') this.render();
         });
+
+        await this.database.subscribe('telemetry', (data) => {
+            this.state.telemetry = data ? Object.values(data).sort((a, b) => a.createdAt - b.createdAt) : [];
+            this.state.telemetryFit = null;
+            if (this.state.currentSection === 'strategy') this.render();
+        });
+
+        await this.database.subscribe('calibration', (data) => {
+            const profiles = data?.profiles ? Object.values(data.profiles).sort((a, b) => a.version - b.version) : [];
+            const active = profiles.find(profile => profile.version === data?.active);
+            this.state.calibrationProfiles = profiles;
+            this.state.calibrationDraft = null;
+            this.state.optimization = null;
+            this.calculations.setCalibration(active || this.config.getDefaultCalibration());
+            if (this.state.currentSection === 'strategy') this.render();
+        });
+
+        await this.database.subscribe('regulations', (data) => {
+            this.state.regulations = data || {};
+            this.state.optimization = null;
+            this.calculations.setRaceRegulations(this.state.regulations);
+            if (this.state.currentSection === 'strategy') this.render();
+        });
     }
 
-    async loadUserStrategy() {
+    async loadUserStrategies() {
         if (!this.auth.isAuthenticated()) return;
 
-        const strategy = await this.database.getStrategy(this.auth.getCurrentUser().username);
-        if (strategy) {
-            this.state.strategy = strategy;
-            if (this.state.currentSection === 'strategy') this.render();
+        const { strategies, lastUsed, lastCircuit } = await this.database.getStrategies(this.auth.getCurrentUser().username);
+        // Strategies saved before the rain forecast or the categories existed lack those fields
+        this.state.strategies = strategies.map(strategy => ({ weather: [], category: 'F1', ...strategy }));
+        this.state.lastUsedStrategies = lastUsed;
+
+        if (!(await this.openCircuitStrategies(lastCircuit || this.state.strategy.circuit))) {
+            this.state.strategy = this.createStrategy(this.state.strategy.circuit);
         }
+        if (this.state.currentSection === 'strategy') this.render();
     }
 
-    async saveStrategy() {
-        if (!this.auth.isAuthenticated()) return;
+    // Save the open strategy; unless `record` is false the save is also kept as a version
+    // Handlers fire saves without waiting for them, so saves are queued: each one reads the
+    // latest version number only after the previous one has recorded its version
+    saveStrategy(options = {}) {
+        // A shared strategy is read-only until the user saves a copy
+        if (!this.auth.isAuthenticated() || this.state.sharedStrategy) {
+            return Promise.resolve({ success: false, error: 'No se puede guardar esta estrategia', context: 'Save strategy' });
+        }
+
+        this.state.strategy.calibrationVersion = this.calculations.calibration.version;
+        const strategy = Utils.deepClone(this.state.strategy);
+        this.saveQueue = this.saveQueue.then(() => this.writeStrategy(strategy, options));
+        return this.saveQueue;
+    }
 
+    async writeStrategy(strategy, { record = true } = {}) {
         try {
             const result = await this.database.saveStrategy(
                 this.auth.getCurrentUser().username, 
-                this.state.strategy
+                strategy
             );
             
             if (result.success) {
+                this.storeSavedStrategy(result.data);
+                if (record) await this.recordStrategyVersion(result.data);
                 this.ui.showToast('Estrategia guardada', 'success');
             } else {
                 this.ui.showToast('Error guardando estrategia', 'error');
             }
+            return result;
         } catch (error) {
             console.error('Error saving strategy:', error);
             this.ui.showToast('Error guardando estrategia', 'error');
+            return Utils.handleError(error, 'Save strategy');
+        }
+    }
+
+    // Keep the saved list in step with the database after a save
+    storeSavedStrategy(saved) {
+        const index = this.state.strategies.findIndex(strategy => strategy.id === saved.id);
+        if (index >= 0) {
+            this.state.strategies[index] = saved;
+        } else {
+            this.state.strategies.push(saved);
+        }
+
+        if (this.state.strategy.id === saved.id) {
+            this.state.strategy.name = saved.name;
+            this.state.strategy.createdAt = saved.createdAt;
+        }
+    }
+
+    // Append a save to the strategy's history unless the plan matches the version on screen.
+    // Only the open strategy's history is loaded, so a save that lands after switching is not recorded
+    async recordStrategyVersion(saved) {
+        if (saved.id !== this.state.strategy.id) return;
+        if (this.state.history.strategyId !== saved.id) this.resetStrategyHistory(saved.id, []);
+
+        const history = this.state.history;
+        const current = history.versions[history.position];
+        if (current && this.calculations.diffStrategies(current, saved).length === 0) return;
+
+        const username = this.auth.getCurrentUser().username;
+        const { id, ...plan } = saved;
+
+        // An edit after undo replaces the undone versions, so undo and redo stay linear
+        const undone = history.versions.splice(history.position + 1);
+        for (const version of undone) {
+            await this.database.deleteStrategyVersion(username, id, version.id);
+        }
+
+        const latest = history.versions[history.versions.length - 1];
+        const result = await this.database.saveStrategyVersion(username, id, { ...plan, version: latest ? latest.version + 1 : 1 });
+        if (!result.success) return;
+
+        history.versions.push(result.data);
+        history.position = history.versions.length - 1;
+        history.diffFrom = null;
+        history.diffTo = null;
+
+        // Oldest versions beyond the limit are dropped
+        while (history.versions.length > this.config.appConfig.maxStrategyVersions) {
+            const oldest = history.versions.shift();
+            history.position--;
+            await this.database.deleteStrategyVersion(username, id, oldest.id);
+        }
+    }
+
+    resetStrategyHistory(strategyId, versions) {
+        this.state.history = {
+            ...this.state.history,
+            strategyId,
+            versions,
+            position: versions.length - 1,
+            diffFrom: null,
+            diffTo: null
+        };
+    }
+
+    async loadStrategyHistory() {
+        const { id } = this.state.strategy;
+        const versions = this.auth.isAuthenticated()
+            ? await this.database.getStrategyHistory(this.auth.getCurrentUser().username, id)
+            : [];
+        this.resetStrategyHistory(id, versions);
+    }
+
+    // Put a version's plan on screen (the strategy keeps its name and favourite flag)
+    applyStrategyVersion(version) {
+        const { category, tyrePoints, fuelPoints, stints, weather } = Utils.deepClone(version);
+        Object.assign(this.state.strategy, { category, tyrePoints, fuelPoints, stints, weather: weather || [] });
+        this.state.optimization = null;
+        this.state.history.diffFrom = null;
+        this.state.history.diffTo = null;
+    }
+
+    // Undo (-1) / redo (+1): move through the history without recording new versions
+    async stepStrategyHistory(offset) {
+        const history = this.state.history;
+        const version = history.versions[history.position + offset];
+        if (!version) return;
+
+        history.position += offset;
+        this.applyStrategyVersion(version);
+        await this.saveStrategy({ record: false });
+        this.render();
+    }
+
+    // Restoring records a new version, so a restore can itself be undone
+    async restoreStrategyVersion(versionId) {
+        const version = this.state.history.versions.find(candidate => candidate.id === versionId);
+        if (!version) return;
+
+        this.applyStrategyVersion(version);
+        await this.saveStrategy();
+        this.ui.showToast(`Versión v${version.version} restaurada`, 'success');
+        this.render();
+    }
+
+    // Strategy from a share link (?s=...), shown read-only in place of the user's own strategy
+    openSharedLink() {
+        const code = Utils.getUrlParameter(this.share.parameter);
+        if (!code) return;
+
+        const result = this.share.decode(code);
+        if (!result.success) {
+            Utils.removeUrlParameter(this.share.parameter);
+            this.ui.showToast(`Enlace de estrategia no válido: ${result.error}`, 'error');
+            return;
+        }
+
+        this.state.sharedStrategy = { ownStrategy: this.state.sharedStrategy ? this.state.sharedStrategy.ownStrategy : this.state.strategy };
+        this.state.strategy = { id: 'shared', name: 'Estrategia compartida', favourite: false, ...result.data };
+        this.state.optimization = null;
+        this.state.currentSection = 'strategy';
+    }
+
+    closeSharedStrategy() {
+        this.state.strategy = this.state.sharedStrategy.ownStrategy;
+        this.state.sharedStrategy = null;
+        this.state.optimization = null;
+        Utils.removeUrlParameter(this.share.parameter);
+    }
+
+    // Keep the shared plan as a new strategy of the user
+    async saveSharedStrategyCopy() {
+        const { id, name, favourite, ...plan } = this.state.strategy;
+        this.state.sharedStrategy = null;
+        Utils.removeUrlParameter(this.share.parameter);
+
+        await this.activateStrategy(this.createStrategy(plan.circuit, { ...plan, name }));
+        const result = await this.saveStrategy();
+        if (result.success) this.ui.showToast('Copia guardada en tus estrategias', 'success');
+    }
+
+    // Download the open strategy with its per-stint analysis ('json' or 'csv')
+    exportStrategy(type) {
+        const engine = new StrategyEngine({
+            calibration: this.calculations.calibration,
+            raceRegulations: this.state.regulations
+        });
+        const analysis = engine.analyze(this.state.strategy);
+        if (!analysis.success) {
+            this.ui.showToast(`No se pudo exportar: ${analysis.error}`, 'error');
+            return;
+        }
+
+        const { circuit, name } = this.state.strategy;
+        const slug = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const fileName = `estrategia-${circuit}${slug ? `-${slug}` : ''}`;
+
+        if (type === 'csv') {
+            Utils.downloadFile(this.share.toCSV(analysis.data), `${fileName}.csv`, 'text/csv');
+        } else {
+            Utils.downloadFile(this.share.toJSON(this.state.strategy, analysis.data), `${fileName}.json`, 'application/json');
+        }
+    }
+
+    // Import a JSON strategy file as a new strategy; a rejected file lists its errors per field
+    async importStrategyFile(file) {
+        const result = this.share.parseFile(await file.text());
+        if (!result.success) {
+            this.state.importErrors = { fileName: file.name, error: result.error, errors: result.errors || [] };
+            this.ui.showToast(`No se pudo importar ${file.name}`, 'error');
+            return;
+        }
+
+        const plan = result.data;
+        this.state.importErrors = null;
+        await this.activateStrategy(this.createStrategy(plan.circuit, {
+            ...plan,
+            name: plan.name || file.name.replace(/\.json$/i, '').slice(0, 40)
+        }));
+        await this.saveStrategy();
+        this.ui.showToast(`Estrategia importada: ${this.state.strategy.name}`, 'success');
+    }
+
+    async copyStrategyLink() {
+        const link = this.share.getLink(this.state.strategy);
+        const result = await Utils.copyToClipboard(link);
+        if (result.success) {
+            this.ui.showToast('Enlace copiado al portapapeles', 'success');
+        } else {
+            window.prompt('Copia el enlace de la estrategia', link);
+        }
+    }
+
+    // Saved strategies of a circuit, favourites first
+    getCircuitStrategies(circuit) {
+        return this.state.strategies
+            .filter(strategy => strategy.circuit === circuit)
+            .sort((a, b) => (b.favourite ? 1 : 0) - (a.favourite ? 1 : 0) || a.name.localeCompare(b.name, 'es'));
+    }
+
+    // A new strategy on a circuit with the current points and category (default stints unless given)
+    createStrategy(circuit, overrides = {}) {
+        const { category, tyrePoints, fuelPoints } = this.state.strategy;
+        const names = new Set(this.getCircuitStrategies(circuit).map(strategy => strategy.name));
+        let number = 1;
+        while (names.has(`Estrategia ${number}`)) number++;
+
+        return {
+            id: Utils.generateId(),
+            name: `Estrategia ${number}`,
+            favourite: false,
+            circuit,
+            category,
+            tyrePoints,
+            fuelPoints,
+            stints: [{ compound: 'M', laps: 6, boost: 'neutral' }],
+            weather: [],
+            ...overrides
+        };
+    }
+
+    // Make a strategy the planner's working copy and remember it for its circuit
+    async activateStrategy(strategy) {
+        this.state.strategy = Utils.deepClone(strategy);
+        this.state.optimization = null;
+        this.state.lastUsedStrategies[strategy.circuit] = strategy.id;
+
+        if (this.auth.isAuthenticated()) {
+            await this.database.setLastUsedStrategy(this.auth.getCurrentUser().username, strategy.circuit, strategy.id);
         }
+        await this.loadStrategyHistory();
+    }
+
+    // Open the circuit's last-used strategy (or its first saved one); false when it has none
+    async openCircuitStrategies(circuit) {
+        const saved = this.getCircuitStrategies(circuit);
+        const strategy = saved.find(candidate => candidate.id === this.state.lastUsedStrategies[circuit]) || saved[0];
+        if (!strategy) return false;
+
+        await this.activateStrategy(strategy);
+        return true;
     }
 
     render() {
@@ -338,6 +674,7 @@ class FerrariApp {
         const sections = [
             { id: 'chat', label: '💬 Chat', icon: '💬' },
             { id: 'strategy', label: '🏁 Estrategia', icon: '🏁' },
+            { id: 'compare', label: '⚖️ Comparar', icon: '⚖️' },
             { id: 'circuits', label: '🏁 Circuitos', icon: '🏛️' },
             { id: 'results', label: '🏆 Resultados', icon: '🏆' },
             { id: 'drivers', label: '👥 Pilotos', icon: '👥' }
@@ -367,6 +704,7 @@ class FerrariApp {
         switch (this.state.currentSection) {
             case 'chat': return this.renderChatSection();
             case 'strategy': return this.renderStrategySection();
+            case 'compare': return this.renderCompareSection();
             case 'drivers': return this.renderDriversSection();
             case 'results': return this.renderResultsSection();
             case 'circuits': return this.renderCircuitsSection();
@@ -411,28 +749,51 @@ class FerrariApp {
         `;
     }
 
+    getStrategyFuelCheck() {
+        return this.calculations.calculateTotalStrategyFuel(
+            this.state.strategy.circuit,
+            this.state.strategy.stints,
+            this.state.strategy.fuelPoints,
+            this.state.strategy.category
+        ).data;
+    }
+
+    // Fuel and regulation violations, listed next to the stint they concern
+    getStrategyViolations(fuelCheck) {
+        const regulations = this.calculations.getRegulations(this.state.strategy.category, this.state.strategy.circuit);
+        return [
+            ...fuelCheck.violations.map(violation => ({ ...violation, icon: '⛽' })),
+            ...this.calculations.checkRegulations(this.state.strategy.stints, regulations)
+                .map(violation => ({ ...violation, icon: '📜' }))
+        ];
+    }
+
     renderStrategySection() {
-        const circuitsData = this.config.getCircuitsData();
+        // Calibrated circuit data (tyre wear may be overridden by the active calibration)
+        const circuitsData = this.calculations.circuitsData;
         const totalLaps = this.state.strategy.stints.reduce((sum, s) => sum + s.laps, 0);
         const circuit = circuitsData[this.state.strategy.circuit];
+        const raceData = this.calculations.getCircuitRaceData(this.state.strategy.circuit);
         
-        let totalFuel = 0;
-        this.state.strategy.stints.forEach(stint => {
-            const fuelCalc = this.calculations.calculateStintFuel(
-                this.state.strategy.circuit, 
-                this.state.strategy.fuelPoints, 
-                stint.laps, 
-                stint.boost
-            );
-            if (fuelCalc.success) {
-                totalFuel += parseFloat(fuelCalc.data.stintFuel);
-            }
-        });
+        const fuelCheck = this.getStrategyFuelCheck();
+        const { totalFuel, rules } = fuelCheck;
+        const regulations = this.calculations.getRegulations(this.state.strategy.category, this.state.strategy.circuit);
+        const violations = this.getStrategyViolations(fuelCheck);
+
+        const simulation = this.calculations.simulateRace(this.state.strategy);
 
         return `
             <section aria-labelledby="strategy-title">
                 <div class="card">
                     <h2 id="strategy-title" class="card-title">🏁 Planificador de Estrategia</h2>
+
+                    ${this.state.sharedStrategy ? this.renderSharedStrategyBanner() : `
+                        ${this.renderStrategyPicker()}
+                        ${this.renderStrategyHistory()}
+                    `}
+
+                    <!-- A shared strategy is read-only: every control below is disabled -->
+                    <fieldset class="strategy-fieldset" ${this.state.sharedStrategy ? 'disabled' : ''}>
                     
                     <div class="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
                         <!-- Configuration Panel -->
@@ -449,6 +810,25 @@ class FerrariApp {
                                         `).join('')}
                                     </select>
                                 </div>
+
+                                <div class="form-group">
+                                    <label for="categorySelect" class="form-label">Categoría</label>
+                                    <select id="categorySelect" class="form-input">
+                                        ${this.config.appConfig.categories.map(category => `
+                                            <option value="${category}" ${this.state.strategy.category === category ? 'selected' : ''}>${category}</option>
+                                        `).join('')}
+                                    </select>
+                                    ${rules ? `
+                                        <p class="text-zinc-400 text-xs mt-1">
+                                            Depósito ${rules.tankCapacity} L ·
+                                            ${rules.refuelling ? `repostaje permitido (+${rules.refuelTimePerLitre} s/L)` : 'sin repostaje'}
+                                        </p>
+                                    ` : ''}
+                                    <p class="text-zinc-400 text-xs mt-1">
+                                        📜 Reglamento${this.hasRaceRegulations() ? ' de la carrera' : ''}:
+                                        ${regulations.length > 0 ? regulations.map(rule => this.describeRegulation(rule)).join(' · ') : 'sin reglas'}
+                                    </p>
+                                </div>
                                 
                                 <div class="form-group">
                                     <label for="tyrePointsInput" class="form-label">
@@ -501,6 +881,8 @@ class FerrariApp {
                                         class="form-input"
                                     />
                                 </div>
+
+                                ${this.renderWeatherForecast()}
                             </div>
                         </div>
 
@@ -520,6 +902,18 @@ class FerrariApp {
                                     <span class="text-zinc-400">Desgaste base:</span>
                                     <span class="font-bold">${circuit.tyreWear}%</span>
                                 </div>
+                                <div class="flex justify-between">
+                                    <span class="text-zinc-400">Vuelta base:</span>
+                                    <span class="font-bold">${Utils.formatRaceTime(raceData.baseLapTime)}</span>
+                                </div>
+                                <div class="flex justify-between">
+                                    <span class="text-zinc-400">Pérdida en boxes:</span>
+                                    <span class="font-bold">${raceData.pitLoss} s</span>
+                                </div>
+                                <div class="flex justify-between">
+                                    <span class="text-zinc-400">Peso del combustible:</span>
+                                    <span class="font-bold">+${raceData.fuelWeightPenalty} s/L</span>
+                                </div>
                                 <div class="flex justify-between">
                                     <span class="text-zinc-400">Dificultad:</span>
                                     <span class="font-bold">${circuit.difficulty}</span>
@@ -543,9 +937,13 @@ class FerrariApp {
                                 🧠 Optimizar
                             </button>
                         </div>
+
+                        ${this.renderStintTimeline(circuit)}
                         
-                        <div class="space-y-4">
-                            ${this.renderStints()}
+                        ${this.renderOptimizationResults()}
+                        
+                        <div id="stintAnalysis" class="space-y-4">
+                            ${this.renderStints(simulation, violations)}
                         </div>
                         
                         ${this.state.strategy.stints.length < 5 ? `
@@ -567,159 +965,1660 @@ class FerrariApp {
                                     ⚠️ Las vueltas no coinciden con la distancia de carrera
                                 </p>
                             ` : ''}
+                            ${violations.map(violation => `
+                                <p class="text-yellow-300 text-sm mt-2">${violation.icon} ${violation.message}</p>
+                            `).join('')}
+                            ${simulation.success ? `
+                                <div class="flex justify-between items-center mt-2">
+                                    <span class="text-lg font-bold">Tiempo total estimado:</span>
+                                    <span class="text-2xl font-bold">${Utils.formatRaceTime(simulation.data.totalTime)}</span>
+                                </div>
+                            ` : ''}
+                            <p class="text-zinc-300 text-xs mt-2">
+                                Calibración v${this.calculations.calibration.version}
+                                ${this.state.strategy.calibrationVersion && this.state.strategy.calibrationVersion !== this.calculations.calibration.version
+                                    ? ` · ⚠️ guardada con v${this.state.strategy.calibrationVersion}`
+                                    : ''}
+                            </p>
                         </div>
                     </div>
+
+                    ${this.renderRaceSimulation(simulation)}
+
+                    ${this.renderRiskAnalysis()}
+
+                    ${this.renderUndercut()}
+
+                    ${this.renderSafetyCar()}
+
+                    ${this.renderReverseSolver()}
+
+                    ${this.renderSensitivity()}
+
+                    ${this.renderTelemetry()}
+
+                    ${this.auth.isAdmin() ? this.renderCalibrationEditor() : ''}
+
+                    ${this.auth.isAdmin() ? this.renderRegulationsEditor(regulations) : ''}
+                    </fieldset>
                 </div>
             </section>
         `;
     }
 
-    renderStints() {
-        return this.state.strategy.stints.map((stint, index) => {
-            const tyreCalc = this.calculations.calculateTyreWear(
-                this.state.strategy.circuit, 
-                stint.compound, 
-                stint.laps, 
-                this.state.strategy.tyrePoints
-            );
-            
-            const fuelCalc = this.calculations.calculateStintFuel(
-                this.state.strategy.circuit, 
-                this.state.strategy.fuelPoints, 
-                stint.laps, 
-                stint.boost
-            );
+    renderOptimizationResults() {
+        const optimization = this.state.optimization;
+        if (!optimization || !optimization.pareto) return '';
 
-            const compounds = [
-                { code: 'SS', name: 'Superblando', class: 'compound-ss' },
-                { code: 'S', name: 'Blando', class: 'compound-s' },
-                { code: 'M', name: 'Medio', class: 'compound-m' },
-                { code: 'H', name: 'Duro', class: 'compound-h' }
-            ];
+        const currentDescription = this.calculations.generateStrategyDescription(this.state.strategy.stints);
 
-            return `
-                <div class="card bg-zinc-800">
-                    <div class="flex items-center justify-between mb-4">
-                        <h4 class="text-2xl font-bold text-red-500">Stint ${index + 1}</h4>
-                        ${this.state.strategy.stints.length > 1 ? `
-                            <button class="removeStint btn btn-ghost btn-sm" data-index="${index}" 
-                                    title="Eliminar stint">
-                                🗑️
-                            </button>
-                        ` : ''}
-                    </div>
-                    
-                    <!-- Compound Selection -->
-                    <div class="grid grid-cols-2 md:grid-cols-4 gap-2 mb-4">
-                        ${compounds.map(comp => `
-                            <button class="compoundBtn ${comp.class} px-4 py-3 rounded-lg font-bold transition-all
-                                           ${stint.compound === comp.code ? 'ring-4 ring-white' : 'opacity-50 hover:opacity-75'}" 
-                                    data-index="${index}" 
-                                    data-compound="${comp.code}"
-                                    title="${comp.name}">
-                                ${comp.code}
-                            </button>
-                        `).join('')}
-                    </div>
-                    
-                    <!-- Stint Configuration -->
-                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
-                        <div class="form-group">
-                            <label class="form-label">Vueltas</label>
-                            <input class="lapsInput form-input" 
-                                   type="number" 
-                                   min="1" 
-                                   value="${stint.laps}" 
-                                   data-index="${index}" />
-                        </div>
-                        
-                        <div class="form-group">
-                            <label class="form-label">Empuje</label>
-                            <select class="boostSelect form-input" data-index="${index}">
-                                ${Object.entries(this.config.appConfig.boostLevels).map(([key, boost]) => `
-                                    <option value="${key}" ${stint.boost === key ? 'selected' : ''}>
-                                        ${boost.label}
-                                    </option>
-                                `).join('')}
-                            </select>
-                        </div>
-                    </div>
-                    
-                    <!-- Stint Analysis -->
-                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
-                        <!-- Tyre Analysis -->
-                        <div class="bg-zinc-900 p-3 rounded-lg">
-                            <h5 class="font-bold mb-2 text-yellow-400">📊 Análisis de Neumáticos</h5>
-                            <div class="space-y-1 text-sm">
-                                <div class="flex justify-between">
-                                    <span>Desgaste base (W):</span>
-                                    <span class="text-yellow-400">${tyreCalc.success ? tyreCalc.baseWear : 'Error'}%</span>
-                                </div>
-                                <div class="flex justify-between">
-                                    <span>W con ${stint.compound}:</span>
-                                    <span class="text-orange-400">${tyreCalc.success ? tyreCalc.baseWearWithCompound : 'Error'}%</span>
-                                </div>
-                                <div class="flex justify-between">
-                                    <span>Neumático restante:</span>
-                                    <span class="font-bold text-lg ${tyreCalc.success && parseFloat(tyreCalc.remaining) > 50 ? 'text-green-400' : 'text-red-400'}">
-                                        ${tyreCalc.success ? tyreCalc.remaining : 'Error'}%
-                                    </span>
-                                </div>
-                                ${tyreCalc.success && tyreCalc.performanceImpact ? `
-                                    <div class="flex justify-between">
-                                        <span>Estado:</span>
-                                        <span class="font-bold" style="color: ${tyreCalc.performanceImpact.color}">
-                                            ${tyreCalc.performanceImpact.status}
-                                        </span>
-                                    </div>
-                                ` : ''}
-                            </div>
-                        </div>
-                        
-                        <!-- Fuel Analysis -->
-                        <div class="bg-zinc-900 p-3 rounded-lg">
-                            <h5 class="font-bold mb-2 text-blue-400">⛽ Análisis de Combustible</h5>
-                            <div class="space-y-1 text-sm">
-                                <div class="flex justify-between">
-                                    <span>Combustible stint:</span>
-                                    <span class="font-bold text-lg text-blue-400">
-                                        ${fuelCalc.success ? fuelCalc.data.stintFuel : 'Error'} L
-                                    </span>
-                                </div>
-                                <div class="flex justify-between">
-                                    <span>Por vuelta:</span>
-                                    <span class="text-blue-300">
-                                        ${fuelCalc.success ? fuelCalc.data.fuelPerLap : 'Error'} L
-                                    </span>
+        return `
+            <div class="bg-zinc-900 p-3 rounded-lg mb-4">
+                <div class="flex justify-between items-center mb-2">
+                    <h4 class="font-bold">🧠 Planes óptimos (más rápido → más seguro)</h4>
+                    <button data-section="compare" class="btn btn-ghost btn-sm">⚖️ Comparar</button>
+                </div>
+                <div class="space-y-2 text-sm">
+                    ${optimization.pareto.map((plan, index) => `
+                        <div class="flex justify-between items-center">
+                            <div>
+                                <div class="font-bold">${plan.description}</div>
+                                <div class="text-zinc-400">
+                                    ${Utils.formatRaceTime(plan.totalTime)} ·
+                                    mín. neumático ${Utils.formatNumber(plan.minTyreRemaining, 1)}% ·
+                                    ${Utils.formatNumber(plan.totalFuel, 2)} L ·
+                                    empuje ${plan.stints.map(stint => this.config.appConfig.boostLevels[stint.boost].label).join(' / ')}
                                 </div>
-                                ${fuelCalc.success && fuelCalc.data.timeImpact ? `
-                                    <div class="flex justify-between">
-                                        <span>Impacto tiempo:</span>
-                                        <span class="${fuelCalc.data.timeImpact.direction === 'faster' ? 'text-green-400' : fuelCalc.data.timeImpact.direction === 'slower' ? 'text-red-400' : 'text-gray-400'}">
-                                            ${fuelCalc.data.timeImpact.total}s
-                                        </span>
-                                    </div>
-                                ` : ''}
                             </div>
+                            ${plan.description === currentDescription ? `
+                                <span class="text-green-400">✓ Actual</span>
+                            ` : `
+                                <button class="adoptPlan btn btn-ghost btn-sm" data-index="${index}">Usar</button>
+                            `}
                         </div>
-                    </div>
+                    `).join('')}
                 </div>
-            `;
-        }).join('');
+            </div>
+        `;
     }
 
-    renderDriversSection() {
-        // Implementation for drivers section - simplified for brevity
+    renderRiskAnalysis() {
+        const defaults = this.config.appConfig.monteCarlo;
+        const analysis = this.state.riskAnalysis;
+        const settings = analysis ? analysis.settings : { runs: defaults.runs, seed: defaults.seed, bands: defaults.bands };
+
         return `
-            <section aria-labelledby="drivers-title">
-                <div class="card">
-                    <h2 id="drivers-title" class="card-title">👥 Gestión de Pilotos</h2>
-                    <p class="text-zinc-400">Sección de pilotos - En desarrollo</p>
+            <div class="card mt-6">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-xl font-bold">🎲 Análisis de riesgo (Monte Carlo)</h3>
+                    <button id="runMonteCarlo" class="btn btn-secondary btn-sm">Simular</button>
                 </div>
-            </section>
-        `;
-    }
-
+                <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                    <div class="form-group">
+                        <label for="mcTyreBand" class="form-label">Desgaste circuito ±%</label>
+                        <input id="mcTyreBand" type="number" min="0" max="50" class="form-input"
+                               value="${Utils.formatNumber(settings.bands.tyreWear * 100, 0)}" />
+                    </div>
+                    <div class="form-group">
+                        <label for="mcFuelBand" class="form-label">Consumo ±%</label>
+                        <input id="mcFuelBand" type="number" min="0" max="20" step="0.5" class="form-input"
+                               value="${Utils.formatNumber(settings.bands.fuel * 100, 1)}" />
+                    </div>
+                    <div class="form-group">
+                        <label for="mcPitBand" class="form-label">Pérdida en boxes ±s</label>
+                        <input id="mcPitBand" type="number" min="0" max="20" step="0.5" class="form-input"
+                               value="${settings.bands.pitStop}" />
+                    </div>
+                    <div class="form-group">
+                        <label for="mcSeed" class="form-label">Semilla</label>
+                        <input id="mcSeed" type="number" min="0" class="form-input" value="${settings.seed}" />
+                    </div>
+                </div>
+                ${analysis ? `
+                    <div class="table-wrapper">
+                        <table class="table">
+                            <thead>
+                                <tr>
+                                    <th scope="col">Estrategia</th>
+                                    <th scope="col">Neumático &lt; ${defaults.lowTyreThreshold}%</th>
+                                    <th scope="col">Sin combustible</th>
+                                    <th scope="col">Riesgo medio</th>
+                                    <th scope="col">Tiempo medio</th>
+                                    <th scope="col">Dispersión (P10–P90)</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${analysis.results.map(result => `
+                                    <tr>
+                                        <td>${result.label}</td>
+                                        ${result.success ? `
+                                            <td>${Utils.formatNumber(result.data.lowTyreProbability * 100, 1)}%</td>
+                                            <td>${Utils.formatNumber(result.data.fuelOutProbability * 100, 1)}%</td>
+                                            <td>${Utils.formatNumber(result.data.averageRiskLevel, 2)}</td>
+                                            <td>${Utils.formatRaceTime(result.data.time.mean)}</td>
+                                            <td>
+                                                ${Utils.formatRaceTime(result.data.time.p10)} – ${Utils.formatRaceTime(result.data.time.p90)}
+                                                (σ ${Utils.formatNumber(result.data.time.stdDev, 1)}s)
+                                            </td>
+                                        ` : `
+                                            <td colspan="5" class="text-red-400">${Utils.sanitizeInput(result.error)}</td>
+                                        `}
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                    <p class="text-zinc-500 text-xs mt-2">
+                        ${settings.runs} simulaciones por estrategia, semilla ${settings.seed}.
+                        Se carga un ${Utils.formatNumber(defaults.fuelMargin * 100, 0)}% de combustible extra sobre lo calculado.
+                    </p>
+                ` : `
+                    <p class="text-zinc-400 text-sm">
+                        Varía el desgaste del circuito, el consumo y la pérdida en boxes para estimar la probabilidad
+                        de acabar un stint con el neumático crítico o quedarse sin combustible.
+                    </p>
+                `}
+            </div>
+        `;
+    }
+
+    renderUndercut() {
+        const settings = this.state.undercut;
+        const strategy = this.state.strategy;
+        const compounds = this.config.getCompoundsData();
+        const rivalStints = settings.rivalStints || strategy.stints;
+        const result = this.calculations.calculateUndercut(strategy, { stints: rivalStints }, settings);
+        const typeLabels = { undercut: 'Undercut', overcut: 'Overcut', same: 'Misma vuelta' };
+        const formatGap = gap => `${gap > 0 ? '+' : ''}${Utils.formatNumber(gap, 2)} s`;
+
+        let summary = '';
+        if (result.success) {
+            const { startsAhead, rivalStopLap, gainLaps, lossLaps, best } = result.data;
+            summary = startsAhead
+                ? (lossLaps.length > 0
+                    ? `⚠️ Pierdes la posición si paras en la vuelta ${this.formatLapRanges(lossLaps)} (el rival para en la ${rivalStopLap})`
+                    : `✅ Mantienes la posición parando en cualquier vuelta de la ventana`)
+                : (gainLaps.length > 0
+                    ? `✅ Ganas la posición parando en la vuelta ${this.formatLapRanges(gainLaps)} (el rival para en la ${rivalStopLap})`
+                    : best
+                        ? `❌ Ninguna parada en la ventana gana la posición; la mejor es la vuelta ${best.stopLap} (${formatGap(best.gapAfter)})`
+                        : '❌ La parada del rival queda fuera de nuestra carrera');
+        }
+
+        return `
+            <div class="card mt-6">
+                <h3 class="text-xl font-bold mb-4">⚔️ Undercut / Overcut</h3>
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div class="bg-zinc-900 p-3 rounded-lg">
+                        <h4 class="font-bold mb-2 text-yellow-400">Rival</h4>
+                        <div class="grid grid-cols-3 gap-2 mb-3">
+                            <div class="form-group">
+                                <label for="undercutGap" class="form-label">Gap (s)</label>
+                                <input id="undercutGap" class="undercutInput form-input" data-key="gap" type="number" step="0.1" value="${settings.gap}" />
+                            </div>
+                            <div class="form-group">
+                                <label for="undercutPitLoss" class="form-label">Pérdida en boxes (s)</label>
+                                <input id="undercutPitLoss" class="undercutInput form-input" data-key="pitLoss" type="number" min="0" step="0.5" value="${settings.pitLoss ?? ''}"
+                                       placeholder="${this.calculations.getCircuitRaceData(strategy.circuit).pitLoss}" />
+                            </div>
+                            <div class="form-group">
+                                <label for="undercutWindow" class="form-label">Ventana (v)</label>
+                                <input id="undercutWindow" class="undercutInput form-input" data-key="window" type="number" min="1" max="15" value="${settings.window}" />
+                            </div>
+                        </div>
+                        <p class="text-zinc-400 text-xs mb-2">Gap positivo = vamos detrás del rival</p>
+                        ${rivalStints.map((stint, index) => `
+                            <div class="flex gap-2 items-center mb-2">
+                                <span class="text-sm w-16">Stint ${index + 1}</span>
+                                <select class="rivalCompound form-input" data-index="${index}" aria-label="Compuesto del rival, stint ${index + 1}">
+                                    ${Object.keys(compounds).map(code => `
+                                        <option value="${code}" ${stint.compound === code ? 'selected' : ''}>${code}</option>
+                                    `).join('')}
+                                </select>
+                                <input class="rivalLaps form-input w-20" data-index="${index}" type="number" min="1" value="${stint.laps}" aria-label="Vueltas del rival, stint ${index + 1}" />
+                                ${rivalStints.length > 1 ? `
+                                    <button class="removeRivalStint text-red-500 hover:text-red-400" data-index="${index}" aria-label="Eliminar stint del rival">🗑️</button>
+                                ` : ''}
+                            </div>
+                        `).join('')}
+                        <div class="flex gap-2 mt-2">
+                            <button id="addRivalStint" class="btn btn-secondary">+ Stint</button>
+                            <button id="copyRivalStints" class="btn btn-secondary">Copiar mi estrategia</button>
+                        </div>
+                    </div>
+                    <div class="bg-zinc-900 p-3 rounded-lg">
+                        ${result.success ? `
+                            <p class="font-bold mb-2">${summary}</p>
+                            ${this.ui.createLineChart(
+                                [{ label: 'Gap con el rival (s)', color: '#dc143c', points: result.data.laps.map(lap => [lap.lap, lap.gap]) }],
+                                {
+                                    title: 'Evolución del gap',
+                                    xLabel: 'Vuelta',
+                                    yLabel: 'Gap (s)',
+                                    height: 180,
+                                    markers: [
+                                        { x: result.data.rivalStopLap, label: 'Rival' },
+                                        { x: result.data.ourStopLap, label: 'Nosotros' }
+                                    ]
+                                }
+                            )}
+                        ` : `
+                            <div class="error-message text-sm">${Utils.sanitizeInput(result.error)}</div>
+                        `}
+                    </div>
+                </div>
+                ${result.success ? `
+                    <div class="table-wrapper mt-4">
+                        <table class="table">
+                            <thead>
+                                <tr>
+                                    <th>Nuestra parada</th>
+                                    <th>Tipo</th>
+                                    <th>Gap en la vuelta ${result.data.compareLap}</th>
+                                    <th>Resultado</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${result.data.options.map(option => `
+                                    <tr class="${option.stopLap === result.data.ourStopLap ? 'font-bold' : ''}">
+                                        <td>Vuelta ${option.stopLap}</td>
+                                        <td>${typeLabels[option.type]}</td>
+                                        <td class="${option.ahead ? 'text-green-400' : 'text-red-400'}">${formatGap(option.gapAfter)}</td>
+                                        <td>${option.gainsPosition ? '⬆️ Gana posición' : option.losesPosition ? '⬇️ Pierde posición' : option.ahead ? 'Delante' : 'Detrás'}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // What the race simulations of the current strategy depend on: its plan (not its name, id or
+    // timestamps) plus the calibration and regulations in force
+    getStrategySignature() {
+        const { circuit, category, tyrePoints, fuelPoints, stints, weather } = this.state.strategy;
+        return JSON.stringify({
+            circuit, category, tyrePoints, fuelPoints, stints, weather,
+            calibration: this.calculations.calibration,
+            regulations: this.calculations.getRegulations(category, circuit)
+        });
+    }
+
+    // Context the safety car analysis and best-plan table were computed for
+    getSafetyCarKey() {
+        const { type, laps } = this.state.safetyCar;
+        return JSON.stringify({ strategy: this.getStrategySignature(), type, laps });
+    }
+
+    // Stop-under-safety-car delta for every lap (two race simulations per lap), reused across
+    // renders until the strategy or the safety car settings change
+    getSafetyCarImpact() {
+        const key = this.getSafetyCarKey();
+        if (!this.safetyCarImpact || this.safetyCarImpact.key !== key) {
+            this.safetyCarImpact = { key, result: this.calculations.calculateSafetyCarImpact(this.state.strategy, this.state.safetyCar) };
+        }
+        return this.safetyCarImpact.result;
+    }
+
+    // Smallest row step that keeps the best-plan table within safetyCarPlanRows optimizer runs
+    getSafetyCarMinStep() {
+        const totalLaps = this.calculations.circuitsData[this.state.strategy.circuit].laps;
+        return Math.max(1, Math.ceil((totalLaps - 1) / this.config.appConfig.safetyCarPlanRows));
+    }
+
+    renderSafetyCar() {
+        const settings = this.state.safetyCar;
+        const types = this.config.appConfig.safetyCar;
+        const result = this.getSafetyCarImpact();
+        const plans = settings.plans && settings.plans.key === this.getSafetyCarKey() ? settings.plans.rows : null;
+        const minStep = this.getSafetyCarMinStep();
+        const progress = settings.progress;
+        const formatDelta = delta => {
+            const rounded = Math.round(delta * 10) / 10 || 0;
+            return `${rounded > 0 ? '+' : ''}${Utils.formatNumber(rounded, 1)} s`;
+        };
+
+        return `
+            <div class="card mt-6">
+                <h3 class="text-xl font-bold mb-4">🚨 Safety car</h3>
+                <div class="flex flex-wrap gap-2 items-end mb-4">
+                    <div class="form-group">
+                        <label for="scType" class="form-label">Tipo</label>
+                        <select id="scType" class="form-input">
+                            ${Object.entries(types).map(([code, type]) => `
+                                <option value="${code}" ${settings.type === code ? 'selected' : ''}>${type.label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="scLaps" class="form-label">Duración (v)</label>
+                        <input id="scLaps" class="safetyCarInput form-input w-24" data-key="laps" type="number" min="1" max="15"
+                               value="${settings.laps ?? ''}" placeholder="${types[settings.type].laps}" />
+                    </div>
+                    <div class="form-group">
+                        <label for="scStep" class="form-label">Cada (v)</label>
+                        <input id="scStep" class="safetyCarInput form-input w-24" data-key="step" type="number" min="${minStep}"
+                               value="${Math.max(settings.step, minStep)}" title="Como mínimo cada ${minStep} vueltas (${this.config.appConfig.safetyCarPlanRows} filas)" />
+                    </div>
+                    <button id="planSafetyCar" class="btn btn-secondary" ${progress ? 'disabled' : ''}>
+                        ${progress ? `⏳ Calculando ${progress.done}/${progress.total}…` : '🔍 Mejor plan por vuelta'}
+                    </button>
+                </div>
+                <p class="text-zinc-400 text-xs mb-2">
+                    Parada bajo ${types[settings.type].label.toLowerCase()}: ×${types[settings.type].pitLossFactor} pérdida en boxes,
+                    ×${types[settings.type].wearFactor} desgaste y ×${types[settings.type].fuelFactor} consumo
+                </p>
+                ${result.success ? `
+                    <p class="font-bold mb-2">
+                        ${result.data.helpLaps.length > 0
+                            ? `✅ Parar bajo safety car ayuda si sale en la vuelta ${this.formatLapRanges(result.data.helpLaps)}`
+                            : '➖ Parar bajo safety car no mejora el plan en ninguna vuelta'}
+                    </p>
+                    ${result.data.hurtLaps.length > 0 ? `
+                        <p class="text-sm mb-2">❌ Perjudica en la vuelta ${this.formatLapRanges(result.data.hurtLaps)}</p>
+                    ` : ''}
+                    <div class="sc-laps" role="list" aria-label="Efecto de parar bajo safety car por vuelta">
+                        ${result.data.laps.map(lap => `
+                            <span role="listitem" class="sc-lap ${lap.helps ? 'helps' : lap.hurts ? 'hurts' : ''}"
+                                  title="Vuelta ${lap.lap}: ${formatDelta(lap.delta)}${lap.legal ? '' : ' (incumple el reglamento)'}">
+                                <strong>${lap.lap}${lap.plannedStop ? ' 🔧' : ''}${lap.legal ? '' : ' 📜'}</strong>
+                                <small>${formatDelta(lap.delta)}</small>
+                            </span>
+                        `).join('')}
+                    </div>
+                    <p class="text-zinc-400 text-xs mt-2">
+                        Diferencia de tiempo total si el safety car sale en esa vuelta y adelantas (o retrasas) la parada más cercana para entrar en ella.
+                        🔧 parada ya prevista · 📜 el cambio incumple el reglamento
+                    </p>
+                ` : `
+                    <div class="error-message text-sm">${Utils.sanitizeInput(result.error)}</div>
+                `}
+                ${plans ? `
+                    <div class="table-wrapper mt-4">
+                        <table class="table">
+                            <thead>
+                                <tr>
+                                    <th>Safety car en</th>
+                                    <th>Mejor plan</th>
+                                    <th>Tiempo</th>
+                                    <th>Plan actual</th>
+                                    <th>Ganancia</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${plans.map((row, index) => `
+                                    <tr>
+                                        <td>Vuelta ${row.lap}</td>
+                                        <td>${row.best ? row.best.description : Utils.sanitizeInput(row.error || '')}</td>
+                                        <td>${row.best ? Utils.formatRaceTime(row.best.totalTime) : '—'}</td>
+                                        <td>${row.currentTime !== null ? Utils.formatRaceTime(row.currentTime) : '—'}</td>
+                                        <td class="${row.gain > 0 ? 'text-green-400' : ''}">${row.gain !== null ? formatDelta(row.gain) : '—'}</td>
+                                        <td>
+                                            ${row.best ? `<button class="adoptSafetyCarPlan btn btn-secondary" data-index="${index}">Usar</button>` : ''}
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderSensitivity() {
+        const strategy = this.state.strategy;
+        const sensitivity = this.calculations.calculateSensitivity(strategy);
+        if (!sensitivity.success || strategy.stints.length === 0) return '';
+
+        const { points, tyre, fuel } = sensitivity.data;
+        const compounds = this.config.getCompoundsData();
+        const dashes = ['', '6 3', '2 3', '8 3 2 3'];
+        const range = [this.config.appConfig.pointsRange.min, this.config.appConfig.pointsRange.max];
+        const toPoints = values => values.map((value, i) => [points[i], value]);
+
+        const tyreChart = this.ui.createLineChart(
+            tyre.map((stint, i) => ({
+                label: `Stint ${stint.stint} · ${stint.compound} (${stint.laps} v)`,
+                color: compounds[stint.compound]?.color || '#ffffff',
+                dash: dashes[i % dashes.length],
+                points: toPoints(stint.values)
+            })),
+            {
+                title: 'Neumático restante por stint',
+                xLabel: 'Puntos de neumático',
+                yLabel: 'Restante %',
+                xDomain: range,
+                yDomain: [0, 100],
+                markers: [{ x: strategy.tyrePoints, label: 'Actual' }]
+            }
+        );
+
+        const fuelChart = this.ui.createLineChart(
+            [{ label: 'Combustible total', color: '#3b82f6', points: toPoints(fuel.values) }],
+            {
+                title: 'Combustible total',
+                xLabel: 'Puntos de combustible',
+                yLabel: 'Litros',
+                xDomain: range,
+                markers: [{ x: strategy.fuelPoints, label: 'Actual' }]
+            }
+        );
+
+        const tyreHints = tyre
+            .filter(stint => stint.diminishingPoint !== null)
+            .map(stint => `Stint ${stint.stint}: desde ${stint.diminishingPoint} pts`)
+            .join(' · ');
+
+        return `
+            <div class="card mt-6">
+                <h3 class="text-xl font-bold mb-4">📈 Sensibilidad de puntos</h3>
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div class="bg-zinc-900 p-3 rounded-lg">
+                        <h4 class="font-bold mb-2 text-yellow-400">Neumático restante vs. puntos</h4>
+                        ${tyreChart}
+                        <p class="text-zinc-400 text-sm mt-2">
+                            ${tyreHints ? `Menos de 0.05% por punto extra — ${tyreHints}` : 'Cada punto extra sigue mejorando el neumático'}
+                        </p>
+                    </div>
+                    <div class="bg-zinc-900 p-3 rounded-lg">
+                        <h4 class="font-bold mb-2 text-blue-400">Combustible total vs. puntos</h4>
+                        ${fuelChart}
+                        <p class="text-zinc-400 text-sm mt-2">
+                            ${fuel.diminishingPoint !== null
+                                ? `Menos de 0.05 L ahorrados por punto extra desde ${fuel.diminishingPoint} pts`
+                                : 'Cada punto extra sigue ahorrando combustible'}
+                        </p>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderTelemetry() {
+        const { circuit, tyrePoints } = this.state.strategy;
+        const circuitsData = this.calculations.circuitsData;
+        const compounds = this.config.getCompoundsData();
+        const user = this.auth.getCurrentUser();
+        const isAdmin = this.auth.isAdmin();
+        const records = this.state.telemetry.slice(-15).reverse();
+        const fit = this.state.telemetryFit;
+
+        return `
+            <div class="card mt-6">
+                <h3 class="text-xl font-bold mb-4">📡 Telemetría de neumáticos</h3>
+                <form id="telemetryForm" class="grid grid-cols-2 md:grid-cols-6 gap-2 items-end">
+                    <div class="form-group">
+                        <label for="telemetryCircuit" class="form-label">Circuito</label>
+                        <select id="telemetryCircuit" name="circuit" class="form-input">
+                            ${Object.entries(circuitsData).map(([code]) => `
+                                <option value="${code}" ${circuit === code ? 'selected' : ''}>${code}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="telemetryCompound" class="form-label">Compuesto</label>
+                        <select id="telemetryCompound" name="compound" class="form-input">
+                            ${Object.keys(compounds).map(code => `<option value="${code}">${code}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="telemetryLaps" class="form-label">Vueltas</label>
+                        <input id="telemetryLaps" name="laps" type="number" min="1" class="form-input" required />
+                    </div>
+                    <div class="form-group">
+                        <label for="telemetryPoints" class="form-label">Puntos neum.</label>
+                        <input id="telemetryPoints" name="tyrePoints" type="number" min="1" max="200" value="${tyrePoints}" class="form-input" required />
+                    </div>
+                    <div class="form-group">
+                        <label for="telemetryRemaining" class="form-label">Restante %</label>
+                        <input id="telemetryRemaining" name="observedRemaining" type="number" min="0.1" max="99.9" step="0.1" class="form-input" required />
+                    </div>
+                    <button type="submit" class="btn btn-primary">Registrar</button>
+                </form>
+
+                ${records.length > 0 ? `
+                    <div class="table-wrapper mt-4">
+                        <table class="table">
+                            <thead>
+                                <tr>
+                                    <th>Circuito</th>
+                                    <th>Compuesto</th>
+                                    <th>Vueltas</th>
+                                    <th>Puntos</th>
+                                    <th>Observado</th>
+                                    <th>Modelo</th>
+                                    <th>Piloto</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${records.map(record => `
+                                    <tr>
+                                        <td>${Utils.sanitizeInput(record.circuit)}</td>
+                                        <td>${Utils.sanitizeInput(record.compound)}</td>
+                                        <td>${record.laps}</td>
+                                        <td>${record.tyrePoints}</td>
+                                        <td>${Utils.formatNumber(record.observedRemaining, 1)}%</td>
+                                        <td>${this.calculations.calculateTyreWear(record.circuit, record.compound, record.laps, record.tyrePoints).remaining}%</td>
+                                        <td>${Utils.sanitizeInput(record.user)}</td>
+                                        <td>
+                                            ${isAdmin || record.user === user.username ? `
+                                                <button class="deleteTelemetry text-red-500 hover:text-red-400" data-id="${record.id}" aria-label="Eliminar registro">🗑️</button>
+                                            ` : ''}
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                    <p class="text-zinc-400 text-sm mt-2">${this.state.telemetry.length} registros en total</p>
+                ` : `
+                    <p class="text-zinc-400 text-sm mt-4">Aún no hay registros. Anota el % de neumático observado al final de cada stint.</p>
+                `}
+
+                ${isAdmin ? `
+                    <div class="mt-4">
+                        <button id="fitWearModel" class="btn btn-secondary" ${this.state.telemetry.length === 0 ? 'disabled' : ''}>
+                            📐 Ajustar modelo de desgaste
+                        </button>
+                    </div>
+                    ${fit ? (fit.success ? `
+                        <div class="bg-zinc-900 p-3 rounded-lg mt-4">
+                            <p class="text-sm mb-2">
+                                ${fit.data.samples} registros · error (RMSE):
+                                <span class="text-red-400">${Utils.formatNumber(fit.data.initialError, 2)}%</span> →
+                                <span class="text-green-400 font-bold">${Utils.formatNumber(fit.data.fitError, 2)}%</span>
+                            </p>
+                            <div class="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                                <div>
+                                    <h4 class="font-bold mb-1 text-yellow-400">Desgaste por circuito</h4>
+                                    ${Object.entries(fit.data.circuitTyreWear).map(([code, value]) => `
+                                        <div class="flex justify-between">
+                                            <span>${code}</span>
+                                            <span>${circuitsData[code].tyreWear}% → <b>${value}%</b></span>
+                                        </div>
+                                    `).join('')}
+                                </div>
+                                <div>
+                                    <h4 class="font-bold mb-1 text-yellow-400">Multiplicadores</h4>
+                                    ${Object.entries(fit.data.compounds).map(([code, value]) => `
+                                        <div class="flex justify-between">
+                                            <span>${code}</span>
+                                            <span>${this.calculations.calibration.compounds[code]} → <b>${value}</b></span>
+                                        </div>
+                                    `).join('')}
+                                </div>
+                            </div>
+                            <button id="applyWearFit" class="btn btn-primary mt-4">Aplicar como nueva calibración</button>
+                        </div>
+                    ` : `
+                        <div class="error-message text-sm mt-4">${Utils.sanitizeInput(fit.error)}</div>
+                    `) : ''}
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderCalibrationEditor() {
+        const active = this.calculations.calibration;
+        const draft = this.state.calibrationDraft || Utils.deepClone(active);
+        const builtIn = this.config.getDefaultCalibration();
+        const profiles = this.state.calibrationProfiles.some(profile => profile.version === builtIn.version)
+            ? this.state.calibrationProfiles
+            : [builtIn, ...this.state.calibrationProfiles];
+        const nextVersion = Math.max(...profiles.map(profile => profile.version)) + 1;
+
+        const groups = [
+            { key: 'tyre', title: 'Desgaste de neumático' },
+            { key: 'compounds', title: 'Multiplicadores de compuesto' },
+            { key: 'fuel', title: 'Combustible' },
+            { key: 'circuitTyreWear', title: 'Desgaste por circuito (%)' }
+        ].filter(group => Object.keys(draft[group.key] || {}).length > 0);
+
+        return `
+            <div class="card mt-6">
+                <h3 class="text-xl font-bold mb-4">⚙️ Calibración del modelo</h3>
+                <div class="flex flex-wrap gap-2 items-end mb-4">
+                    <div class="form-group">
+                        <label for="calibrationVersionSelect" class="form-label">Versión activa</label>
+                        <select id="calibrationVersionSelect" class="form-input">
+                            ${profiles.map(profile => `
+                                <option value="${profile.version}" ${profile.version === active.version ? 'selected' : ''}>
+                                    v${profile.version} · ${Utils.sanitizeInput(profile.label || '')}
+                                </option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <button id="activateCalibration" class="btn btn-secondary">Activar</button>
+                </div>
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    ${groups.map(group => `
+                        <div class="bg-zinc-900 p-3 rounded-lg">
+                            <h4 class="font-bold mb-2 text-yellow-400">${group.title}</h4>
+                            <div class="grid grid-cols-2 gap-2">
+                                ${Object.entries(draft[group.key]).map(([key, value]) => `
+                                    <div class="form-group">
+                                        <label for="calibration-${group.key}-${key}" class="form-label text-xs">${key}</label>
+                                        <input id="calibration-${group.key}-${key}" type="number" step="any"
+                                               class="calibrationInput form-input" data-group="${group.key}" data-key="${key}" value="${value}" />
+                                    </div>
+                                `).join('')}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="flex flex-wrap gap-2 items-end mt-4">
+                    <div class="form-group flex-1">
+                        <label for="calibrationLabel" class="form-label">Nombre</label>
+                        <input id="calibrationLabel" class="form-input" maxlength="40" placeholder="Parche de temporada..." value="${Utils.sanitizeInput(draft.label || '')}" />
+                    </div>
+                    <button id="saveCalibration" class="btn btn-primary">Guardar como v${nextVersion}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    hasRaceRegulations() {
+        const { category, circuit } = this.state.strategy;
+        return Boolean(this.state.regulations[category] && this.state.regulations[category][circuit]);
+    }
+
+    describeRegulation(rule) {
+        const label = this.config.appConfig.regulationTypes[rule.type] || rule.type;
+        const compound = this.config.getCompoundsData()[rule.value];
+        return `${label}: ${rule.type === 'mandatoryCompound' && compound ? compound.name : rule.value}`;
+    }
+
+    renderRegulationsEditor(regulations) {
+        const { category, circuit } = this.state.strategy;
+        const compounds = this.config.getCompoundsData();
+        const valueOf = (type) => {
+            const rule = regulations.find(r => r.type === type);
+            return rule ? rule.value : '';
+        };
+
+        return `
+            <div class="card mt-6">
+                <h3 class="text-xl font-bold mb-2">📜 Reglamento de la carrera</h3>
+                <p class="text-zinc-400 text-sm mb-4">
+                    ${category} · ${this.calculations.circuitsData[circuit].name}.
+                    ${this.hasRaceRegulations() ? 'Esta carrera tiene su propio reglamento.' : `Se aplica el reglamento de ${category}.`}
+                    Deja un campo vacío para quitar la regla.
+                </p>
+                <div class="grid grid-cols-2 md:grid-cols-3 gap-4">
+                    ${Object.entries(this.config.appConfig.regulationTypes).map(([type, label]) => `
+                        <div class="form-group">
+                            <label for="regulation-${type}" class="form-label text-xs">${label}</label>
+                            ${type === 'mandatoryCompound' ? `
+                                <select id="regulation-${type}" class="regulationInput form-input" data-type="${type}">
+                                    <option value="">—</option>
+                                    ${Object.entries(compounds).map(([code, compound]) => `
+                                        <option value="${code}" ${valueOf(type) === code ? 'selected' : ''}>${compound.name}</option>
+                                    `).join('')}
+                                </select>
+                            ` : `
+                                <input id="regulation-${type}" type="number" min="0" step="1"
+                                       class="regulationInput form-input" data-type="${type}" value="${valueOf(type)}" />
+                            `}
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="flex flex-wrap gap-2 mt-4">
+                    <button id="saveRaceRegulations" class="btn btn-primary">Guardar para esta carrera</button>
+                    ${this.hasRaceRegulations() ? `
+                        <button id="resetRaceRegulations" class="btn btn-secondary">Usar el reglamento de ${category}</button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    renderReverseSolver() {
+        const { circuit } = this.state.strategy;
+        const solver = this.state.solver;
+        const compounds = this.config.getCompoundsData();
+        const maxPoints = this.config.appConfig.pointsRange.max;
+
+        const tyreResult = this.calculations.solveTyrePoints(circuit, solver.compound, solver.laps, solver.targetRemaining);
+        const fuelResult = this.calculations.solveFuelPoints(circuit, solver.fuelLaps, solver.tankLimit, solver.boost);
+
+        const renderResult = (result, points, detail) => {
+            if (!result.success) {
+                return `<div class="error-message text-sm">${Utils.sanitizeInput(result.error)}</div>`;
+            }
+            return `
+                <div class="flex justify-between items-center">
+                    <span>Puntos mínimos:</span>
+                    <span class="text-2xl font-bold ${result.data.feasible ? 'text-green-400' : 'text-red-400'}">
+                        ${points}
+                    </span>
+                </div>
+                <p class="text-zinc-400 text-sm">
+                    ${result.data.feasible ? detail : `⚠️ Supera el máximo de ${maxPoints} puntos`}
+                </p>
+            `;
+        };
+
+        return `
+            <div class="card mt-6">
+                <h3 class="text-xl font-bold mb-4">🔄 Calculadora inversa</h3>
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div class="bg-zinc-900 p-3 rounded-lg">
+                        <h4 class="font-bold mb-2 text-yellow-400">Puntos de neumático necesarios</h4>
+                        <div class="grid grid-cols-3 gap-2">
+                            <div class="form-group">
+                                <label for="solverCompound" class="form-label">Compuesto</label>
+                                <select id="solverCompound" class="solverInput form-input" data-key="compound">
+                                    ${Object.entries(compounds).map(([code, compound]) => `
+                                        <option value="${code}" ${solver.compound === code ? 'selected' : ''}>${code} · ${compound.name}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="solverLaps" class="form-label">Vueltas</label>
+                                <input id="solverLaps" class="solverInput form-input" data-key="laps" type="number" min="1" value="${solver.laps}" />
+                            </div>
+                            <div class="form-group">
+                                <label for="solverTarget" class="form-label">Restante %</label>
+                                <input id="solverTarget" class="solverInput form-input" data-key="targetRemaining" type="number" min="1" max="99" value="${solver.targetRemaining}" />
+                            </div>
+                        </div>
+                        ${renderResult(
+                            tyreResult,
+                            tyreResult.data?.tyrePoints,
+                            `Con ${tyreResult.data?.tyrePoints} puntos quedará un ${Utils.formatNumber(tyreResult.data?.remainingAtPoints, 2)}% tras ${solver.laps} vueltas`
+                        )}
+                    </div>
+                    <div class="bg-zinc-900 p-3 rounded-lg">
+                        <h4 class="font-bold mb-2 text-blue-400">Puntos de combustible necesarios</h4>
+                        <div class="grid grid-cols-3 gap-2">
+                            <div class="form-group">
+                                <label for="solverFuelLaps" class="form-label">Vueltas</label>
+                                <input id="solverFuelLaps" class="solverInput form-input" data-key="fuelLaps" type="number" min="1" value="${solver.fuelLaps}" />
+                            </div>
+                            <div class="form-group">
+                                <label for="solverTank" class="form-label">Depósito (L)</label>
+                                <input id="solverTank" class="solverInput form-input" data-key="tankLimit" type="number" min="1" step="0.5" value="${solver.tankLimit}" />
+                            </div>
+                            <div class="form-group">
+                                <label for="solverBoost" class="form-label">Empuje</label>
+                                <select id="solverBoost" class="solverInput form-input" data-key="boost">
+                                    ${Object.entries(this.config.appConfig.boostLevels).map(([key, boost]) => `
+                                        <option value="${key}" ${solver.boost === key ? 'selected' : ''}>${boost.label}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                        </div>
+                        ${renderResult(
+                            fuelResult,
+                            fuelResult.data?.fuelPoints,
+                            `Con ${fuelResult.data?.fuelPoints} puntos el stint necesita ${Utils.formatNumber(fuelResult.data?.fuelAtPoints, 2)} L`
+                        )}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderRaceSimulation(simulation) {
+        if (!simulation.success) {
+            return `
+                <div class="card mt-6">
+                    <div class="error-message">No se pudo simular la carrera: ${Utils.sanitizeInput(simulation.error)}</div>
+                </div>
+            `;
+        }
+
+        const { laps, totalTime, pitStops } = simulation.data;
+
+        return `
+            <div class="card mt-6">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-xl font-bold">⏱️ Simulación vuelta a vuelta</h3>
+                    <span class="text-zinc-400 text-sm">
+                        ${pitStops} ${pitStops === 1 ? 'parada' : 'paradas'} · ${Utils.formatRaceTime(totalTime)}
+                    </span>
+                </div>
+                <div class="table-wrapper">
+                    <table class="table race-table">
+                        <thead>
+                            <tr>
+                                <th scope="col">Vuelta</th>
+                                <th scope="col">Stint</th>
+                                <th scope="col">Pista</th>
+                                <th scope="col">Neumático</th>
+                                <th scope="col">Combustible</th>
+                                <th scope="col">Tiempo vuelta</th>
+                                <th scope="col">Tiempo total</th>
+                                <th scope="col">Gap</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${laps.map(lap => `
+                                <tr class="${lap.pitStop ? 'pit-lap' : ''} ${lap.wrongCompound ? 'wrong-compound' : ''}">
+                                    <td>${lap.lap}${lap.pitStop ? ' 🔧' : ''}${lap.refuelTime ? ` ⛽ +${Utils.formatNumber(lap.refuelTime, 1)}s` : ''}</td>
+                                    <td>${lap.stint} (${lap.compound})${lap.wrongCompound ? ' ⚠️' : ''}</td>
+                                    <td>${Utils.formatNumber(lap.wetness * 100, 0)}% agua</td>
+                                    <td style="color: ${lap.color}">${Utils.formatNumber(lap.tyreRemaining, 1)}%</td>
+                                    <td>${Utils.formatNumber(lap.fuelRemaining, 2)} L</td>
+                                    <td>${Utils.formatRaceTime(lap.lapTime)}</td>
+                                    <td>${Utils.formatRaceTime(lap.raceTime)}</td>
+                                    <td>${lap.gap >= 0 ? '+' : ''}${Utils.formatNumber(lap.gap, 1)}s</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <p class="text-zinc-500 text-xs mt-2">
+                    Gap: tiempo perdido respecto al ritmo ideal (${simulation.data.baseLapTime}s por vuelta sin degradación, peso de combustible ni paradas; ${simulation.data.pitStopTime}s por parada).
+                </p>
+            </div>
+        `;
+    }
+
+    renderWeatherForecast() {
+        const conditions = this.config.getWeatherConditions();
+        const forecast = this.state.strategy.weather || [];
+
+        return `
+            <div class="form-group">
+                <span class="form-label">Pronóstico de lluvia</span>
+                <div class="space-y-2">
+                    ${forecast.length === 0 ? `
+                        <p class="text-zinc-400 text-sm">☀️ Carrera en seco</p>
+                    ` : forecast.map((entry, index) => `
+                        <div class="flex items-center gap-2">
+                            <label class="text-sm text-zinc-400" for="weatherLap-${index}">Desde vuelta</label>
+                            <input id="weatherLap-${index}" class="weatherLapInput form-input" type="number" min="1"
+                                   value="${entry.fromLap}" data-index="${index}" style="width: 5rem" />
+                            <select class="weatherConditionSelect form-input" data-index="${index}"
+                                    aria-label="Condición de pista">
+                                ${Object.entries(conditions).map(([key, condition]) => `
+                                    <option value="${key}" ${entry.condition === key ? 'selected' : ''}>
+                                        ${condition.icon} ${condition.label}
+                                    </option>
+                                `).join('')}
+                            </select>
+                            <button class="removeWeather btn btn-ghost btn-sm" data-index="${index}"
+                                    title="Eliminar cambio de clima">🗑️</button>
+                        </div>
+                    `).join('')}
+                </div>
+                <button id="addWeather" class="btn btn-ghost btn-sm mt-2">+ Cambio de clima</button>
+            </div>
+        `;
+    }
+
+    // Race timeline: one block per stint, as wide as its laps. Dragging the boundary between two
+    // stints moves laps from one to the other; dragging a block reorders the stints
+    renderStintTimeline(circuit) {
+        const { stints } = this.state.strategy;
+        const compounds = this.config.getCompoundsData();
+        const totalLaps = stints.reduce((sum, stint) => sum + stint.laps, 0);
+        const stopLaps = this.calculations.getStopLaps(stints);
+        // A shared strategy is read-only: no handles and no reordering
+        const editable = !this.state.sharedStrategy;
+
+        return `
+            <div id="stintTimeline" class="mb-4">
+                <div id="raceTimeline" class="race-timeline">
+                    ${stints.map((stint, index) => `
+                        ${index > 0 && editable ? `
+                            <div class="timeline-handle" role="separator" tabindex="0" data-index="${index - 1}"
+                                 aria-orientation="vertical" aria-label="Parada al final de la vuelta ${stopLaps[index - 1]}"
+                                 aria-valuenow="${stopLaps[index - 1]}" aria-valuemin="1" aria-valuemax="${totalLaps - 1}"
+                                 title="Arrastra (o usa ← →) para mover la parada"></div>
+                        ` : ''}
+                        <div class="timeline-stint ${compounds[stint.compound].className}" style="flex-grow: ${stint.laps}"
+                             draggable="${editable}" tabindex="0" data-index="${index}"
+                             aria-label="Stint ${index + 1}: ${compounds[stint.compound].name}, ${stint.laps} ${stint.laps === 1 ? 'vuelta' : 'vueltas'}. Alt + ← → para cambiarlo de orden"
+                             title="Arrastra para cambiar el orden de los stints">
+                            <strong>${stint.compound}</strong>
+                            <span>${stint.laps}v</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="flex justify-between items-center text-xs text-zinc-400 mt-1">
+                    <span>${stopLaps.length > 0 ? `Paradas: ${stopLaps.map(lap => `v${lap}`).join(' · ')}` : 'Sin paradas'}</span>
+                    <span class="${totalLaps === circuit.laps ? '' : 'text-yellow-300'}">
+                        ${totalLaps} / ${circuit.laps} vueltas
+                        ${totalLaps !== circuit.laps ? `
+                            <button id="fitStintsToRace" class="btn btn-ghost btn-sm">Ajustar el último stint</button>
+                        ` : ''}
+                    </span>
+                </div>
+            </div>
+        `;
+    }
+
+    renderStints(simulation, violations) {
+        const compounds = Object.entries(this.config.getCompoundsData())
+            .map(([code, compound]) => ({ code, name: compound.name, class: compound.className }));
+
+        return this.state.strategy.stints.map((stint, index) => {
+            const tyreCalc = this.calculations.calculateTyreWear(
+                this.state.strategy.circuit, 
+                stint.compound, 
+                stint.laps, 
+                this.state.strategy.tyrePoints
+            );
+            
+            const fuelCalc = this.calculations.calculateStintFuel(
+                this.state.strategy.circuit, 
+                this.state.strategy.fuelPoints, 
+                stint.laps, 
+                this.calculations.getBoostPlan(stint)
+            );
+
+            const stintSim = simulation.success ? simulation.data.stints[index] : null;
+            const wrongLaps = stintSim ? stintSim.wrongCompoundLaps : [];
+            const stintViolations = violations.filter(violation => violation.stint === index + 1);
+
+            // Remaining tyre, status and pit advice from the race simulation (fuel on board, weather);
+            // the fuel-free model only when the plan cannot be simulated
+            const remaining = stintSim ? stintSim.tyreRemaining : (tyreCalc.success ? parseFloat(tyreCalc.remaining) : null);
+            const performance = remaining !== null ? this.calculations.calculatePerformanceImpact(remaining) : null;
+            const pitWindow = remaining !== null ? this.calculations.calculatePitWindow(remaining, 100 - remaining) : null;
+
+            return `
+                <div class="card bg-zinc-800">
+                    <div class="flex items-center justify-between mb-4">
+                        <h4 class="text-2xl font-bold text-red-500">Stint ${index + 1}</h4>
+                        ${this.state.strategy.stints.length > 1 ? `
+                            <button class="removeStint btn btn-ghost btn-sm" data-index="${index}" 
+                                    title="Eliminar stint">
+                                🗑️
+                            </button>
+                        ` : ''}
+                    </div>
+                    
+                    ${stintViolations.map(violation => `
+                        <div class="error-message mb-4 text-sm">${violation.icon} ${violation.message}</div>
+                    `).join('')}
+
+                    ${wrongLaps.length > 0 ? `
+                        <div class="error-message mb-4 text-sm">
+                            ⚠️ Compuesto inadecuado para la pista en ${wrongLaps.length === 1 ? 'la vuelta' : 'las vueltas'}
+                            ${this.formatLapRanges(wrongLaps)}
+                        </div>
+                    ` : ''}
+
+                    <!-- Compound Selection -->
+                    <div class="grid grid-cols-3 md:grid-cols-6 gap-2 mb-4">
+                        ${compounds.map(comp => `
+                            <button class="compoundBtn ${comp.class} px-4 py-3 rounded-lg font-bold transition-all
+                                           ${stint.compound === comp.code ? 'ring-4 ring-white' : 'opacity-50 hover:opacity-75'}" 
+                                    data-index="${index}" 
+                                    data-compound="${comp.code}"
+                                    title="${comp.name}">
+                                ${comp.code}
+                            </button>
+                        `).join('')}
+                    </div>
+                    
+                    <!-- Stint Configuration -->
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                        <div class="form-group">
+                            <label class="form-label">Vueltas</label>
+                            <input class="lapsInput form-input" 
+                                   type="number" 
+                                   min="1" 
+                                   value="${stint.laps}" 
+                                   data-index="${index}" />
+                        </div>
+                        
+                        <div class="form-group">
+                            <label class="form-label">Empuje${stint.boostPlan && stint.boostPlan.length > 0 ? ' (desde la vuelta 1)' : ''}</label>
+                            <select class="boostSelect form-input" data-index="${index}">
+                                ${Object.entries(this.config.appConfig.boostLevels).map(([key, boost]) => `
+                                    <option value="${key}" ${stint.boost === key ? 'selected' : ''}>
+                                        ${boost.label}
+                                    </option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    </div>
+
+                    <!-- Boost plan: changes of boost later in the stint -->
+                    <div class="mb-4">
+                        ${(stint.boostPlan || []).map((change, segment) => `
+                            <div class="flex gap-2 items-center mb-2">
+                                <label class="text-sm whitespace-nowrap" for="boostPlanLap-${index}-${segment}">Desde la vuelta</label>
+                                <input id="boostPlanLap-${index}-${segment}" class="boostPlanLap form-input w-20" type="number"
+                                       min="2" max="${stint.laps}" value="${change.fromLap}"
+                                       data-index="${index}" data-segment="${segment}" />
+                                <select class="boostPlanSelect form-input" data-index="${index}" data-segment="${segment}" aria-label="Empuje desde la vuelta ${change.fromLap}">
+                                    ${Object.entries(this.config.appConfig.boostLevels).map(([key, boost]) => `
+                                        <option value="${key}" ${change.boost === key ? 'selected' : ''}>${boost.label}</option>
+                                    `).join('')}
+                                </select>
+                                <button class="removeBoostChange text-red-500 hover:text-red-400" data-index="${index}" data-segment="${segment}" aria-label="Eliminar cambio de empuje">🗑️</button>
+                                ${change.fromLap > stint.laps ? '<span class="text-yellow-400 text-sm" title="Fuera del stint">⚠️</span>' : ''}
+                            </div>
+                        `).join('')}
+                        ${stint.laps > 1 ? `
+                            <button class="addBoostChange btn btn-ghost btn-sm" data-index="${index}">+ Cambio de empuje</button>
+                        ` : ''}
+                    </div>
+                    
+                    <!-- Stint Analysis -->
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <!-- Tyre Analysis -->
+                        <div class="bg-zinc-900 p-3 rounded-lg">
+                            <h5 class="font-bold mb-2 text-yellow-400">📊 Análisis de Neumáticos</h5>
+                            <div class="space-y-1 text-sm">
+                                <div class="flex justify-between">
+                                    <span>Desgaste base (W):</span>
+                                    <span class="text-yellow-400">${tyreCalc.success ? tyreCalc.baseWear : 'Error'}%</span>
+                                </div>
+                                <div class="flex justify-between">
+                                    <span>W con ${stint.compound}:</span>
+                                    <span class="text-orange-400">${tyreCalc.success ? tyreCalc.baseWearWithCompound : 'Error'}%</span>
+                                </div>
+                                <div class="flex justify-between" title="Simulación vuelta a vuelta con el combustible a bordo y el pronóstico">
+                                    <span>Neumático restante:</span>
+                                    <span class="font-bold text-lg ${remaining !== null && remaining > 50 ? 'text-green-400' : 'text-red-400'}">
+                                        ${remaining !== null ? Utils.formatNumber(remaining, 2) : 'Error'}%
+                                    </span>
+                                </div>
+                                ${performance ? `
+                                    <div class="flex justify-between">
+                                        <span>Estado:</span>
+                                        <span class="font-bold" style="color: ${performance.color}">
+                                            ${performance.status}
+                                        </span>
+                                    </div>
+                                    <div class="flex justify-between">
+                                        <span>Al final del stint:</span>
+                                        <span>${pitWindow.recommendation}</span>
+                                    </div>
+                                ` : ''}
+                            </div>
+                        </div>
+                        
+                        <!-- Fuel Analysis -->
+                        <div class="bg-zinc-900 p-3 rounded-lg">
+                            <h5 class="font-bold mb-2 text-blue-400">⛽ Análisis de Combustible</h5>
+                            <div class="space-y-1 text-sm">
+                                <div class="flex justify-between">
+                                    <span>Combustible stint:</span>
+                                    <span class="font-bold text-lg text-blue-400">
+                                        ${fuelCalc.success ? fuelCalc.data.stintFuel : 'Error'} L
+                                    </span>
+                                </div>
+                                <div class="flex justify-between">
+                                    <span>Por vuelta${fuelCalc.success && fuelCalc.data.boostInfo.level === 'plan' ? ' (media)' : ''}:</span>
+                                    <span class="text-blue-300">
+                                        ${fuelCalc.success ? fuelCalc.data.fuelPerLap : 'Error'} L
+                                    </span>
+                                </div>
+                                ${fuelCalc.success && fuelCalc.data.timeImpact ? `
+                                    <div class="flex justify-between">
+                                        <span>Impacto tiempo:</span>
+                                        <span class="${fuelCalc.data.timeImpact.direction === 'faster' ? 'text-green-400' : fuelCalc.data.timeImpact.direction === 'slower' ? 'text-red-400' : 'text-gray-400'}">
+                                            ${fuelCalc.data.timeImpact.total}s
+                                        </span>
+                                    </div>
+                                ` : ''}
+                                ${stintSim ? `
+                                    <div class="flex justify-between" title="Tiempo perdido por el peso del combustible a bordo">
+                                        <span>Peso (${Utils.formatNumber(stintSim.fuelLoad, 1)} L iniciales):</span>
+                                        <span class="text-red-400">+${Utils.formatNumber(stintSim.fuelTime, 1)}s</span>
+                                    </div>
+                                ` : ''}
+                            </div>
+                        </div>
+                    </div>
+
+                    ${this.renderTyreCurve(stint, index, simulation)}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Tyre % lap by lap over the condition bands, with the pit advice thresholds and the critical lap
+    // Plots the simulated stint (fuel on board and forecast, as the card above); the dry, fuel-free
+    // model only when the plan cannot be simulated
+    renderTyreCurve(stint, index, simulation) {
+        const { circuit, tyrePoints } = this.state.strategy;
+        const simulatedLaps = simulation.success ? simulation.data.laps.filter(lap => lap.stint === index + 1) : [];
+        let curve;
+        if (simulatedLaps.length > 0) {
+            curve = this.calculations.describeTyreCurve([[0, 100], ...simulatedLaps.map(lap => [lap.stintLap, lap.tyreRemaining])]);
+        } else {
+            const result = this.calculations.calculateTyreCurve(circuit, stint.compound, stint.laps, tyrePoints);
+            if (!result.success) return '';
+            curve = result.data;
+        }
+
+        const { points, states, pitThresholds, criticalLap } = curve;
+        const compound = this.config.getCompoundsData()[stint.compound];
+        const reached = states.filter(state => state.fromLap !== null);
+
+        return `
+            <div class="bg-zinc-900 p-3 rounded-lg mt-4">
+                <div class="flex items-center justify-between mb-2">
+                    <h5 class="font-bold text-yellow-400">📉 Curva de degradación</h5>
+                    <span class="text-sm font-bold ${criticalLap ? 'text-red-400' : 'text-green-400'}">
+                        ${criticalLap ? `Crítico desde la vuelta ${criticalLap}` : 'No llega a estado crítico'}
+                    </span>
+                </div>
+                ${this.ui.createLineChart(
+                    [{ label: `${compound ? compound.name : stint.compound} (% restante)`, color: compound ? compound.color : '#e5e5e5', points }],
+                    {
+                        title: `Degradación del neumático · Stint ${index + 1}`,
+                        xLabel: 'Vuelta',
+                        yLabel: 'Neumático (%)',
+                        height: 200,
+                        xDomain: [0, stint.laps],
+                        yDomain: [0, 100],
+                        bands: states.map(state => ({ from: state.from, to: state.to, color: state.color, label: state.status })),
+                        thresholds: pitThresholds.map(threshold => ({ y: threshold.remaining, label: threshold.recommendation })),
+                        markers: criticalLap ? [{ x: criticalLap, label: 'Crítico' }] : []
+                    }
+                )}
+                <p class="text-xs text-zinc-400 mt-2">
+                    ${reached.map(state => `<span style="color: ${state.color}">${state.status}</span> desde la vuelta ${state.fromLap}`).join(' · ')}
+                </p>
+                <p class="text-xs text-zinc-500 mt-1">
+                    ${simulatedLaps.length > 0 ? 'Simulación vuelta a vuelta con el combustible a bordo y el pronóstico' : 'Modelo en seco sin combustible a bordo'}
+                </p>
+            </div>
+        `;
+    }
+
+    // Named strategies of the current circuit: open, rename, duplicate, favourite, delete
+    renderStrategyPicker() {
+        const { id, name, favourite, circuit } = this.state.strategy;
+        const saved = this.getCircuitStrategies(circuit);
+        const isSaved = saved.some(strategy => strategy.id === id);
+        const history = this.getStrategyHistory();
+        const canUndo = history.position > 0;
+        const canRedo = history.position < history.versions.length - 1;
+        const importErrors = this.state.importErrors;
+        const otherCircuits = Object.entries(this.state.strategies
+            .filter(strategy => strategy.circuit !== circuit)
+            .reduce((counts, strategy) => ({ ...counts, [strategy.circuit]: (counts[strategy.circuit] || 0) + 1 }), {}));
+
+        return `
+            <div class="card mb-6">
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div class="form-group">
+                        <label for="strategyPicker" class="form-label">📂 Mis estrategias en ${this.calculations.circuitsData[circuit].name}</label>
+                        <select id="strategyPicker" class="form-input">
+                            ${isSaved ? '' : `<option value="${id}" selected>${Utils.sanitizeInput(name)} (sin guardar)</option>`}
+                            ${saved.map(strategy => `
+                                <option value="${strategy.id}" ${strategy.id === id ? 'selected' : ''}>
+                                    ${strategy.favourite ? '⭐ ' : ''}${Utils.sanitizeInput(strategy.name)}
+                                </option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="strategyName" class="form-label">Nombre</label>
+                        <input id="strategyName" type="text" value="${Utils.sanitizeInput(name)}" class="form-input" maxlength="40" />
+                    </div>
+                </div>
+                <div class="flex flex-wrap gap-2">
+                    <button id="newStrategy" class="btn btn-secondary btn-sm">➕ Nueva</button>
+                    <button id="duplicateStrategy" class="btn btn-secondary btn-sm">📄 Duplicar</button>
+                    <button id="toggleFavouriteStrategy" class="btn btn-ghost btn-sm" aria-pressed="${favourite ? 'true' : 'false'}">
+                        ${favourite ? '⭐ Favorita' : '☆ Marcar favorita'}
+                    </button>
+                    <button id="deleteStrategy" class="btn btn-ghost btn-sm text-red-500" ${isSaved ? '' : 'disabled'}>🗑️ Eliminar</button>
+                    <button id="undoStrategy" class="btn btn-ghost btn-sm" ${canUndo ? '' : 'disabled'} title="Volver a la versión anterior">↶ Deshacer</button>
+                    <button id="redoStrategy" class="btn btn-ghost btn-sm" ${canRedo ? '' : 'disabled'} title="Volver a la versión siguiente">↷ Rehacer</button>
+                    <button id="shareStrategy" class="btn btn-ghost btn-sm" title="Copiar un enlace de solo lectura">🔗 Compartir</button>
+                    <button class="printStrategySheet btn btn-ghost btn-sm" title="Hoja de estrategia para el piloto">🖨️ Hoja de carrera</button>
+                    <button class="exportStrategy btn btn-ghost btn-sm" data-type="json" title="Estrategia y análisis por stint">⬇️ JSON</button>
+                    <button class="exportStrategy btn btn-ghost btn-sm" data-type="csv" title="Análisis por stint">⬇️ CSV</button>
+                    <label for="importStrategyFile" class="btn btn-ghost btn-sm" title="Importar un archivo JSON como estrategia nueva">⬆️ Importar</label>
+                    <input id="importStrategyFile" type="file" accept=".json,application/json" class="sr-only" />
+                </div>
+                ${importErrors ? `
+                    <div class="error-message mt-4" role="alert">
+                        <p class="font-bold">No se pudo importar ${Utils.sanitizeInput(importErrors.fileName)}: ${Utils.sanitizeInput(importErrors.error)}</p>
+                        ${importErrors.errors.length > 0 ? `
+                            <ul class="text-sm mt-2 space-y-1">
+                                ${importErrors.errors.map(error => `
+                                    <li>${error.field ? `<code>${Utils.sanitizeInput(error.field)}</code> · ` : ''}${Utils.sanitizeInput(error.message)}</li>
+                                `).join('')}
+                            </ul>
+                        ` : ''}
+                        <button id="dismissImportErrors" class="btn btn-ghost btn-sm mt-2">Cerrar</button>
+                    </div>
+                ` : ''}
+                ${otherCircuits.length > 0 ? `
+                    <p class="text-zinc-400 text-xs mt-2">
+                        Otros circuitos: ${otherCircuits.map(([code, count]) => `${code} (${count})`).join(' · ')}
+                    </p>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Move laps across the boundary after stint `index` (positive: the earlier stint grows).
+    // The move is clamped so both stints keep at least one lap and the race distance never
+    // changes; returns the laps actually moved
+    moveStintBoundary(index, delta) {
+        const stints = this.state.strategy.stints;
+        const before = stints[index];
+        const after = stints[index + 1];
+        if (!before || !after) return 0;
+
+        const moved = Math.max(1 - before.laps, Math.min(delta, after.laps - 1));
+        before.laps += moved;
+        after.laps -= moved;
+        return moved;
+    }
+
+    // While a boundary is dragged only the timeline and the stint cards follow the pointer; the
+    // rest of the planner (summary, charts, listeners) is rendered on release
+    renderStintDragPreview() {
+        const timeline = document.getElementById('stintTimeline');
+        const analysis = document.getElementById('stintAnalysis');
+        if (!timeline || !analysis) return;
+
+        const circuit = this.calculations.circuitsData[this.state.strategy.circuit];
+        const violations = this.getStrategyViolations(this.getStrategyFuelCheck());
+        timeline.outerHTML = this.renderStintTimeline(circuit);
+        analysis.innerHTML = this.renderStints(this.calculations.simulateRace(this.state.strategy), violations);
+    }
+
+    // Boundary drag: laps follow the pointer (as far as the neighbouring stint allows); the whole
+    // planner is rendered and the strategy saved once, on release
+    startTimelineDrag(event, index) {
+        const blocks = [...document.querySelectorAll('.timeline-stint')];
+        const width = blocks.reduce((sum, block) => sum + block.getBoundingClientRect().width, 0);
+        const totalLaps = this.state.strategy.stints.reduce((sum, stint) => sum + stint.laps, 0);
+        const drag = { startX: event.clientX, lapWidth: width / totalLaps, moved: 0 };
+        event.preventDefault();
+
+        const onMove = (e) => {
+            const delta = Math.round((e.clientX - drag.startX) / drag.lapWidth) - drag.moved;
+            const moved = delta !== 0 ? this.moveStintBoundary(index, delta) : 0;
+            if (moved !== 0) {
+                drag.moved += moved;
+                this.renderStintDragPreview();
+            }
+        };
+        const onUp = () => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            document.removeEventListener('pointercancel', onUp);
+            document.body.classList.remove('timeline-dragging');
+            if (drag.moved !== 0) {
+                this.saveStrategy();
+                this.render();
+            }
+        };
+
+        document.body.classList.add('timeline-dragging');
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+        document.addEventListener('pointercancel', onUp);
+    }
+
+    reorderStint(fromIndex, toIndex) {
+        const stints = this.state.strategy.stints;
+        if (fromIndex === toIndex || toIndex < 0 || toIndex >= stints.length) return;
+
+        Utils.arrayMove(stints, fromIndex, toIndex);
+        this.saveStrategy();
+        this.render();
+    }
+
+    // Race-day sheet for the driver, printed with its own layout and stylesheet (assets/css/print.css)
+    printStrategySheet() {
+        let sheet = document.getElementById('print-sheet');
+        if (!sheet) {
+            sheet = document.createElement('div');
+            sheet.id = 'print-sheet';
+            document.body.appendChild(sheet);
+        }
+
+        sheet.innerHTML = this.renderStrategySheet();
+        document.body.classList.add('printing-sheet');
+        window.addEventListener('afterprint', () => document.body.classList.remove('printing-sheet'), { once: true });
+        window.print();
+    }
+
+    renderStrategySheet() {
+        const strategy = this.state.strategy;
+        const circuit = this.calculations.circuitsData[strategy.circuit];
+        const raceData = this.calculations.getCircuitRaceData(strategy.circuit);
+        const compounds = this.config.getCompoundsData();
+        const boostLevels = this.config.appConfig.boostLevels;
+        const conditions = this.config.getWeatherConditions();
+        const simulation = this.calculations.simulateRace(strategy);
+        const simulatedStints = simulation.success ? simulation.data.stints : [];
+        const totalLaps = strategy.stints.reduce((sum, stint) => sum + stint.laps, 0);
+        const stopLaps = this.calculations.getStopLaps(strategy.stints);
+        const { rules } = this.calculations.calculateTotalStrategyFuel(strategy.circuit, strategy.stints, strategy.fuelPoints, strategy.category).data;
+
+        const stints = strategy.stints.map((stint, index) => {
+            const fuel = this.calculations.calculateStintFuel(strategy.circuit, strategy.fuelPoints, stint.laps, this.calculations.getBoostPlan(stint));
+            // Tyre target from the same simulation as the fuel load; the fuel-free model only if it fails
+            const tyre = simulatedStints[index]
+                ? { success: true, remaining: simulatedStints[index].tyreRemaining }
+                : this.calculations.calculateTyreWear(strategy.circuit, stint.compound, stint.laps, strategy.tyrePoints);
+            const remaining = tyre.success ? parseFloat(tyre.remaining) : null;
+            const startLap = stopLaps[index - 1] || 0;
+
+            return {
+                ...stint,
+                number: index + 1,
+                startLap: startLap + 1,
+                endLap: startLap + stint.laps,
+                remaining,
+                advice: remaining !== null ? this.calculations.calculatePitWindow(remaining, 100 - remaining).recommendation : '—',
+                stintFuel: fuel.success ? fuel.data.stintFuel : '—',
+                fuelLoad: simulatedStints[index] ? simulatedStints[index].fuelLoad : null
+            };
+        });
+
+        return `
+            <article class="sheet">
+                <header class="sheet-header">
+                    <div>
+                        <h1>${Utils.getFlag(circuit.country)} ${circuit.name} (${strategy.circuit})</h1>
+                        <p>${Utils.sanitizeInput(strategy.name)} · ${strategy.category} · Neumático ${strategy.tyrePoints} · Combustible ${strategy.fuelPoints}</p>
+                    </div>
+                    <dl class="sheet-facts">
+                        <dt>Vueltas</dt><dd>${circuit.laps}${totalLaps !== circuit.laps ? ` (plan: ${totalLaps})` : ''}</dd>
+                        <dt>Longitud</dt><dd>${circuit.length} km</dd>
+                        <dt>Desgaste</dt><dd>${circuit.tyreWear}%</dd>
+                        <dt>Vuelta base</dt><dd>${Utils.formatRaceTime(raceData.baseLapTime)}</dd>
+                        <dt>Pit lane</dt><dd>${raceData.pitLoss} s</dd>
+                        <dt>Dificultad</dt><dd>${circuit.difficulty || '—'}</dd>
+                    </dl>
+                </header>
+
+                <section>
+                    <h2>Stints</h2>
+                    <div class="sheet-timeline">
+                        ${stints.map(stint => `
+                            <div class="sheet-stint ${compounds[stint.compound].className}" style="flex-grow: ${stint.laps}">
+                                <strong>${stint.compound}</strong> ${stint.laps}v
+                                <small>${stint.startLap}–${stint.endLap}</small>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <p class="sheet-stops">
+                        ${stopLaps.length > 0
+                            ? `Boxes: ${stopLaps.map((lap, index) => `vuelta ${lap} (${strategy.stints[index].compound} → ${strategy.stints[index + 1].compound})`).join(' · ')}`
+                            : 'Sin paradas'}
+                    </p>
+                </section>
+
+                <table class="sheet-table">
+                    <thead>
+                        <tr>
+                            <th>Stint</th>
+                            <th>Compuesto</th>
+                            <th>Vueltas</th>
+                            <th>Empuje</th>
+                            <th>Combustible</th>
+                            <th>Carga al salir</th>
+                            <th>Neumático objetivo</th>
+                            <th>Ventana de parada</th>
+                            <th>Box</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${stints.map((stint, index) => `
+                            <tr>
+                                <td>${stint.number}</td>
+                                <td>${compounds[stint.compound].name} (${stint.compound})</td>
+                                <td>${stint.startLap}–${stint.endLap} (${stint.laps})</td>
+                                <td>${this.calculations.getBoostPlan(stint).map(segment => `${boostLevels[segment.boost].label}${segment.fromLap > 1 ? ` desde v${segment.fromLap}` : ''}`).join('<br>')}</td>
+                                <td>${stint.stintFuel} L</td>
+                                <td>${stint.fuelLoad !== null ? `${Utils.formatNumber(stint.fuelLoad, 1)} L` : '—'}</td>
+                                <td>${stint.remaining !== null ? `${Utils.formatNumber(stint.remaining, 1)}%` : '—'}</td>
+                                <td>${stint.advice}</td>
+                                <td>${index < stopLaps.length ? `Vuelta ${stopLaps[index]}` : '🏁 Meta'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+
+                <p class="sheet-summary">
+                    ${simulation.success ? `Tiempo estimado ${Utils.formatRaceTime(simulation.data.totalTime)} · ` : ''}
+                    Depósito ${rules ? `${rules.tankCapacity} L, ${rules.refuelling ? 'con repostaje' : 'sin repostaje'}` : '—'}
+                    ${(strategy.weather || []).length > 0 ? ` · Pronóstico: ${strategy.weather.map(entry => `${conditions[entry.condition].label} desde v${entry.fromLap}`).join(', ')}` : ''}
+                </p>
+
+                <section class="sheet-notes">
+                    <h2>Notas</h2>
+                </section>
+
+                <footer class="sheet-footer">
+                    Impreso ${Utils.formatDateTime(new Date())} · Calibración v${this.calculations.calibration.version}
+                </footer>
+            </article>
+        `;
+    }
+
+    renderSharedStrategyBanner() {
+        return `
+            <div class="card mb-6" role="status">
+                <p class="font-bold mb-1">🔗 Estrategia compartida (solo lectura)</p>
+                <p class="text-zinc-400 text-sm mb-4">
+                    ${this.calculations.circuitsData[this.state.strategy.circuit].name} · ${this.state.strategy.category} ·
+                    ${this.calculations.generateStrategyDescription(this.state.strategy.stints)}.
+                    Guarda una copia para editarla; tu estrategia no se ha modificado.
+                </p>
+                <div class="flex flex-wrap gap-2">
+                    <button id="saveSharedCopy" class="btn btn-primary btn-sm">💾 Guardar una copia</button>
+                    <button id="closeSharedStrategy" class="btn btn-secondary btn-sm">✕ Volver a mi estrategia</button>
+                    <button class="printStrategySheet btn btn-ghost btn-sm">🖨️ Hoja de carrera</button>
+                </div>
+            </div>
+        `;
+    }
+
+    // History of the open strategy (empty while another strategy's history is loaded)
+    getStrategyHistory() {
+        const history = this.state.history;
+        return history.strategyId === this.state.strategy.id ? history : { ...history, versions: [], position: -1 };
+    }
+
+    // Saved versions, newest first, with a diff between any two of them
+    renderStrategyHistory() {
+        const history = this.getStrategyHistory();
+        const { versions, position } = history;
+        if (versions.length === 0) return '';
+
+        // By default the version on screen against the one before it
+        const to = versions.find(version => version.id === history.diffTo) || versions[position] || versions[versions.length - 1];
+        const from = versions.find(version => version.id === history.diffFrom) || versions[versions.indexOf(to) - 1] || to;
+        const changes = this.calculations.diffStrategies(from, to);
+        const versionOptions = selected => versions.slice().reverse().map(version => `
+            <option value="${version.id}" ${version.id === selected.id ? 'selected' : ''}>v${version.version} · ${Utils.formatDateTime(new Date(version.savedAt))}</option>
+        `).join('');
+
+        return `
+            <details id="strategyHistory" class="card mb-6" ${history.open ? 'open' : ''}>
+                <summary class="font-bold cursor-pointer">🕘 Historial de versiones (${versions.length})</summary>
+
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                    <div class="form-group">
+                        <label for="historyDiffFrom" class="form-label">Comparar</label>
+                        <select id="historyDiffFrom" class="form-input">${versionOptions(from)}</select>
+                    </div>
+                    <div class="form-group">
+                        <label for="historyDiffTo" class="form-label">con</label>
+                        <select id="historyDiffTo" class="form-input">${versionOptions(to)}</select>
+                    </div>
+                </div>
+                ${from === to ? '' : changes.length > 0 ? `
+                    <ul class="space-y-1 text-sm mb-4">
+                        ${changes.map(change => `
+                            <li>${change.field === 'added' ? '➕' : change.field === 'removed' ? '➖' : '✏️'} ${change.message}</li>
+                        `).join('')}
+                    </ul>
+                ` : '<p class="text-zinc-400 text-sm mb-4">Sin cambios entre estas versiones</p>'}
+
+                <ul class="space-y-2">
+                    ${versions.map((version, index) => ({ version, index })).reverse().map(({ version, index }) => `
+                        <li class="flex justify-between items-center gap-2 text-sm">
+                            <span>
+                                <strong>v${version.version}</strong>
+                                <span class="text-zinc-400">${Utils.formatDateTime(new Date(version.savedAt))}</span>
+                                · ${this.calculations.generateStrategyDescription(version.stints)}
+                                · ${version.category} ${version.tyrePoints}/${version.fuelPoints}
+                            </span>
+                            ${index === position
+                                ? '<span class="text-green-400">✓ En pantalla</span>'
+                                : `<button class="restoreVersion btn btn-ghost btn-sm" data-id="${version.id}">↺ Restaurar</button>`}
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }
+
+    // [3, 4, 5, 9] → "3–5, 9"
+    formatLapRanges(laps) {
+        const ranges = [];
+        laps.forEach(lap => {
+            const last = ranges[ranges.length - 1];
+            if (last && lap === last[1] + 1) last[1] = lap;
+            else ranges.push([lap, lap]);
+        });
+        return ranges.map(([from, to]) => from === to ? `${from}` : `${from}–${to}`).join(', ');
+    }
+
+    // Strategies shown side by side: the current plan, the user's other strategies for the circuit
+    // and the optimizer's recommendation and alternatives, without repeating the same stints
+    getComparisonCandidates() {
+        const optimization = this.state.optimization;
+        const candidates = [
+            { label: 'Plan actual', stints: this.state.strategy.stints },
+            // The user's other saved strategies for this circuit
+            ...this.getCircuitStrategies(this.state.strategy.circuit)
+                .filter(strategy => strategy.id !== this.state.strategy.id)
+                .map(strategy => ({ label: `📂 ${strategy.name}`, stints: strategy.stints })),
+            ...(optimization ? [
+                { label: 'Recomendada', stints: optimization.recommended.stints },
+                ...optimization.alternatives.map((plan, index) => ({ label: `Alternativa ${index + 1}`, stints: plan.stints }))
+            ] : [])
+        ];
+
+        return candidates.reduce((unique, candidate) => {
+            const signature = this.getStintsSignature(candidate.stints);
+            const existing = unique.find(other => this.getStintsSignature(other.stints) === signature);
+            if (existing) {
+                existing.label += ` · ${candidate.label}`;
+            } else {
+                unique.push({ ...candidate });
+            }
+            return unique;
+        }, []);
+    }
+
+    // Compounds, laps and boost of a stint list, ignoring computed fields
+    getStintsSignature(stints) {
+        return JSON.stringify(stints.map(stint => [stint.compound, stint.laps, stint.boost, stint.boostPlan || []]));
+    }
+
+    renderCompareSection() {
+        const { circuit, category, tyrePoints, fuelPoints } = this.state.strategy;
+        const circuitData = this.calculations.circuitsData[circuit];
+        const compounds = this.config.getCompoundsData();
+        const regulations = this.calculations.getRegulations(category, circuit);
+        const currentSignature = this.getStintsSignature(this.state.strategy.stints);
+
+        const compared = this.calculations.compareStrategies(this.getComparisonCandidates(), this.state.strategy)
+            .map(strategy => ({
+                ...strategy,
+                totalLaps: strategy.stints.reduce((sum, stint) => sum + stint.laps, 0),
+                violations: [
+                    ...this.calculations.calculateTotalStrategyFuel(circuit, strategy.stints, fuelPoints, category).data.violations,
+                    ...this.calculations.checkRegulations(strategy.stints, regulations)
+                ]
+            }));
+        // Time gaps only between plans that cover the race distance
+        const fastest = Math.min(...compared
+            .filter(strategy => strategy.totalLaps === circuitData.laps)
+            .map(strategy => strategy.analysis.estimatedTime));
+        const riskLabel = level => (level <= 1 ? 'Bajo' : level === 2 ? 'Medio' : 'Alto');
+
+        return `
+            <section aria-labelledby="compare-title">
+                <div class="card">
+                    <div class="flex justify-between items-center mb-4">
+                        <h2 id="compare-title" class="card-title">⚖️ Comparar estrategias</h2>
+                        <button id="compareOptimize" class="btn btn-secondary">🧠 ${this.state.optimization ? 'Recalcular alternativas' : 'Buscar alternativas'}</button>
+                    </div>
+                    <p class="text-zinc-400 text-sm mb-4">
+                        ${circuitData.name} · ${category} · ${circuitData.laps} vueltas · ${tyrePoints}/${fuelPoints} puntos
+                        ${this.state.optimization ? '' : ' · Busca alternativas con el optimizador para compararlas con tu plan'}
+                    </p>
+                    <div class="compare-grid">
+                        ${compared.map((strategy, index) => `
+                            <div class="card bg-zinc-800">
+                                <h3 class="font-bold text-yellow-400">${strategy.label}</h3>
+                                <p class="text-sm mb-2">${this.calculations.generateStrategyDescription(strategy.stints)}</p>
+                                <div class="stint-timeline" role="img" aria-label="${strategy.stints.map(stint => `${compounds[stint.compound].name} ${stint.laps} vueltas`).join(', ')}">
+                                    ${strategy.stints.map(stint => `
+                                        <span class="stint-segment ${compounds[stint.compound].className}" style="flex-grow: ${stint.laps}">
+                                            ${stint.compound} ${stint.laps}
+                                        </span>
+                                    `).join('')}
+                                </div>
+                                <dl class="compare-stats">
+                                    <dt>Tiempo total</dt>
+                                    <dd>
+                                        ${Utils.formatRaceTime(strategy.analysis.estimatedTime)}
+                                        ${strategy.totalLaps === circuitData.laps && strategy.analysis.estimatedTime > fastest ? `<span class="text-zinc-400">(+${Utils.formatNumber(strategy.analysis.estimatedTime - fastest, 1)} s)</span>` : ''}
+                                    </dd>
+                                    <dt>Combustible</dt>
+                                    <dd>${strategy.analysis.totalFuel} L</dd>
+                                    <dt>Paradas</dt>
+                                    <dd>${strategy.analysis.pitStops}</dd>
+                                    <dt>Riesgo</dt>
+                                    <dd>${riskLabel(strategy.analysis.riskLevel)} (${strategy.analysis.riskLevel})</dd>
+                                    <dt>Puntuación</dt>
+                                    <dd>${strategy.analysis.score}</dd>
+                                </dl>
+                                <ul class="text-sm mb-2">
+                                    ${strategy.pros.map(pro => `<li class="text-green-400">✅ ${pro}</li>`).join('')}
+                                    ${strategy.cons.map(con => `<li class="text-red-400">❌ ${con}</li>`).join('')}
+                                    ${strategy.totalLaps !== circuitData.laps ? `
+                                        <li class="text-yellow-300">⚠️ ${strategy.totalLaps} / ${circuitData.laps} vueltas</li>
+                                    ` : ''}
+                                    ${strategy.violations.map(violation => `<li class="text-yellow-300">⚠️ ${violation.message}</li>`).join('')}
+                                </ul>
+                                ${this.getStintsSignature(strategy.stints) === currentSignature ? `
+                                    <span class="text-green-400">✓ Estrategia actual</span>
+                                ` : `
+                                    <button class="adoptCompared btn btn-primary" data-index="${index}" ${this.state.sharedStrategy ? 'disabled' : ''}>Usar esta estrategia</button>
+                                `}
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            </section>
+        `;
+    }
+
+    renderDriversSection() {
+        // Implementation for drivers section - simplified for brevity
+        return `
+            <section aria-labelledby="drivers-title">
+                <div class="card">
+                    <h2 id="drivers-title" class="card-title">👥 Gestión de Pilotos</h2>
+                    <p class="text-zinc-400">Sección de pilotos - En desarrollo</p>
+                </div>
+            </section>
+        `;
+    }
+
     renderResultsSection() {
         // Implementation for results section - simplified for brevity
         return `
@@ -733,12 +2632,108 @@ class FerrariApp {
     }
 
     renderCircuitsSection() {
-        // Implementation for circuits section - simplified for brevity
+        const isAdmin = this.auth.isAdmin();
+        const defaults = this.config.appConfig.raceDefaults;
+        const textFields = [
+            ['warmup', '🔥 Calentamiento'],
+            ['playstyle', '🎮 Estilo'],
+            ['devPreferences', '🔧 Desarrollo'],
+            ['idealCorners', '🏎️ Curvas'],
+            ['optimalStrategies', '📊 Estrategias'],
+            ['otherTips', '💡 Consejos']
+        ];
+
         return `
             <section aria-labelledby="circuits-title">
                 <div class="card">
-                    <h2 id="circuits-title" class="card-title">🏛️ Circuitos</h2>
-                    <p class="text-zinc-400">Sección de circuitos - En desarrollo</p>
+                    <div class="flex items-center justify-between mb-4">
+                        <h2 id="circuits-title" class="card-title">🏛️ Circuitos</h2>
+                        ${isAdmin && this.state.editingStates.circuit !== 'new' ? `
+                            <button id="addCircuit" class="btn btn-primary btn-sm">+ Circuito</button>
+                        ` : ''}
+                    </div>
+
+                    ${isAdmin && this.state.editingStates.circuit === 'new' ? `
+                        <form id="circuitForm" class="bg-zinc-900 p-3 rounded-lg mb-4">
+                            <h3 class="font-bold mb-2">Añadir circuito</h3>
+                            <div class="grid grid-cols-2 md:grid-cols-4 gap-2">
+                                <div class="form-group">
+                                    <label for="circuitFlag" class="form-label">Código de país</label>
+                                    <input id="circuitFlag" name="flag" class="form-input" placeholder="IT" maxlength="2" required />
+                                </div>
+                                <div class="form-group">
+                                    <label for="circuitName" class="form-label">Nombre</label>
+                                    <input id="circuitName" name="name" class="form-input" required />
+                                </div>
+                                <div class="form-group">
+                                    <label for="circuitCountry" class="form-label">País</label>
+                                    <input id="circuitCountry" name="country" class="form-input" required />
+                                </div>
+                                <div class="form-group">
+                                    <label for="circuitLength" class="form-label">Longitud</label>
+                                    <input id="circuitLength" name="length" class="form-input" placeholder="5.8 km" required />
+                                </div>
+                                <div class="form-group">
+                                    <label for="circuitLaps" class="form-label">Vueltas</label>
+                                    <input id="circuitLaps" name="laps" type="number" min="1" class="form-input" required />
+                                </div>
+                                <div class="form-group">
+                                    <label for="circuitBaseLapTime" class="form-label">Vuelta base (s)</label>
+                                    <input id="circuitBaseLapTime" name="baseLapTime" type="number" min="1" step="0.1" class="form-input"
+                                           placeholder="${defaults.baseLapTime}" />
+                                </div>
+                                <div class="form-group">
+                                    <label for="circuitPitLoss" class="form-label">Pérdida en boxes (s)</label>
+                                    <input id="circuitPitLoss" name="pitLoss" type="number" min="1" step="0.1" class="form-input"
+                                           placeholder="${defaults.pitStopTime}" />
+                                </div>
+                                <div class="form-group">
+                                    <label for="circuitFuelWeightPenalty" class="form-label">Peso combustible (s/L)</label>
+                                    <input id="circuitFuelWeightPenalty" name="fuelWeightPenalty" type="number" min="0" step="0.001" class="form-input"
+                                           placeholder="${defaults.fuelWeightPenalty}" />
+                                </div>
+                            </div>
+                            <p class="text-zinc-400 text-sm mb-2">Los datos de carrera vacíos usan los valores por defecto indicados.</p>
+                            <div class="grid grid-cols-1 md:grid-cols-2 gap-2">
+                                ${textFields.map(([name, label]) => `
+                                    <textarea name="${name}" class="form-input" rows="2" placeholder="${label}" aria-label="${label}"></textarea>
+                                `).join('')}
+                            </div>
+                            <div class="flex gap-2 mt-2">
+                                <button type="submit" class="btn btn-primary">Guardar</button>
+                                <button type="button" id="cancelCircuit" class="btn btn-secondary">Cancelar</button>
+                            </div>
+                        </form>
+                    ` : ''}
+
+                    ${this.state.circuits.length === 0 ? `
+                        <p class="text-zinc-400">Aún no hay circuitos guardados.</p>
+                    ` : `
+                        <div class="grid grid-cols-1 gap-4">
+                            ${this.state.circuits.map(circuit => `
+                                <div class="bg-zinc-800 p-4 rounded-lg">
+                                    <div class="flex items-center justify-between mb-2">
+                                        <h3 class="text-xl font-bold">${Utils.getFlag(circuit.flag)} ${circuit.name}</h3>
+                                        ${isAdmin ? `
+                                            <button class="deleteCircuit text-red-500 hover:text-red-400" data-id="${circuit.id}" aria-label="Eliminar circuito">🗑️</button>
+                                        ` : ''}
+                                    </div>
+                                    <p class="text-zinc-400 text-sm mb-2">
+                                        ${circuit.country} · ${circuit.length} · ${circuit.laps} vueltas ·
+                                        vuelta base ${Utils.formatRaceTime(circuit.baseLapTime ?? defaults.baseLapTime)} ·
+                                        boxes ${circuit.pitLoss ?? defaults.pitStopTime} s ·
+                                        combustible ${circuit.fuelWeightPenalty ?? defaults.fuelWeightPenalty} s/L
+                                    </p>
+                                    ${textFields.filter(([name]) => circuit[name]).map(([name, label]) => `
+                                        <div class="bg-zinc-900 p-2 rounded-lg mb-2 text-sm">
+                                            <h4 class="font-bold text-red-500">${label}</h4>
+                                            <p class="text-zinc-300">${circuit[name]}</p>
+                                        </div>
+                                    `).join('')}
+                                </div>
+                            `).join('')}
+                        </div>
+                    `}
                 </div>
             </section>
         `;
@@ -752,96 +2747,501 @@ class FerrariApp {
         `;
     }
 
-    attachEventListeners() {
-        // Authentication event listeners
-        this.attachAuthEventListeners();
-        
-        // Navigation event listeners
-        this.attachNavigationEventListeners();
-        
-        // Section-specific event listeners
-        this.attachSectionEventListeners();
-        
-        // Strategy event listeners
-        this.attachStrategyEventListeners();
-    }
+    attachEventListeners() {
+        // Authentication event listeners
+        this.attachAuthEventListeners();
+        
+        // Navigation event listeners
+        this.attachNavigationEventListeners();
+        
+        // Section-specific event listeners
+        this.attachSectionEventListeners();
+        
+        // Strategy event listeners
+        this.attachStrategyEventListeners();
+    }
+
+    attachAuthEventListeners() {
+        // Login form
+        const loginForm = document.getElementById('loginForm');
+        if (loginForm) {
+            loginForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.handleLogin(e);
+            });
+        }
+
+        // Register form
+        const registerForm = document.getElementById('registerForm');
+        if (registerForm) {
+            registerForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.handleRegister(e);
+            });
+        }
+
+        // Show register button
+        const showRegisterBtn = document.getElementById('showRegister');
+        if (showRegisterBtn) {
+            showRegisterBtn.addEventListener('click', () => {
+                this.state.showRegister = true;
+                this.renderAuthScreen();
+            });
+        }
+
+        // Back to login button
+        const backToLoginBtn = document.getElementById('backToLogin');
+        if (backToLoginBtn) {
+            backToLoginBtn.addEventListener('click', () => {
+                this.state.showRegister = false;
+                this.renderAuthScreen();
+            });
+        }
+
+        // Logout button
+        const logoutBtn = document.getElementById('logoutBtn');
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', () => {
+                this.auth.logout();
+                this.state.strategies = [];
+                this.state.lastUsedStrategies = {};
+                this.render();
+                this.ui.showToast('Sesión cerrada', 'info');
+            });
+        }
+    }
+
+    attachNavigationEventListeners() {
+        // Section navigation
+        document.querySelectorAll('[data-section]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.state.currentSection = e.target.dataset.section;
+                this.render();
+            });
+        });
+    }
+
+    attachSectionEventListeners() {
+        // Chat form
+        const chatForm = document.getElementById('chatForm');
+        if (chatForm) {
+            chatForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.handleChatMessage(e);
+            });
+        }
+
+        // Circuits (admin)
+        const addCircuitBtn = document.getElementById('addCircuit');
+        if (addCircuitBtn) {
+            addCircuitBtn.addEventListener('click', () => {
+                this.state.editingStates.circuit = 'new';
+                this.render();
+            });
+        }
+
+        const cancelCircuitBtn = document.getElementById('cancelCircuit');
+        if (cancelCircuitBtn) {
+            cancelCircuitBtn.addEventListener('click', () => {
+                this.state.editingStates.circuit = null;
+                this.render();
+            });
+        }
+
+        const circuitForm = document.getElementById('circuitForm');
+        if (circuitForm) {
+            circuitForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.handleCircuit(e);
+            });
+        }
+
+        document.querySelectorAll('.deleteCircuit').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const result = await this.database.deleteCircuit(e.currentTarget.dataset.id);
+                if (!result.success) this.ui.showToast('Error eliminando circuito', 'error');
+            });
+        });
+    }
+
+    attachStrategyEventListeners() {
+        // Category (fuel rules)
+        const categorySelect = document.getElementById('categorySelect');
+        if (categorySelect) {
+            categorySelect.addEventListener('change', (e) => {
+                this.state.strategy.category = e.target.value;
+                this.state.optimization = null;
+                this.saveStrategy();
+                this.render();
+            });
+        }
+
+        // Undercut / overcut
+        const getRivalStints = () => {
+            if (!this.state.undercut.rivalStints) {
+                this.state.undercut.rivalStints = Utils.deepClone(this.state.strategy.stints);
+            }
+            return this.state.undercut.rivalStints;
+        };
+
+        document.querySelectorAll('.undercutInput').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value)) {
+                    this.state.undercut[e.target.dataset.key] = value;
+                } else if (e.target.dataset.key === 'pitLoss') {
+                    this.state.undercut.pitLoss = null;
+                }
+                this.render();
+            });
+        });
+
+        document.querySelectorAll('.rivalCompound').forEach(select => {
+            select.addEventListener('change', (e) => {
+                getRivalStints()[parseInt(e.target.dataset.index)].compound = e.target.value;
+                this.render();
+            });
+        });
+
+        document.querySelectorAll('.rivalLaps').forEach(input => {
+            input.addEventListener('change', (e) => {
+                getRivalStints()[parseInt(e.target.dataset.index)].laps = Math.max(1, parseInt(e.target.value) || 1);
+                this.render();
+            });
+        });
+
+        document.querySelectorAll('.removeRivalStint').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                getRivalStints().splice(parseInt(e.currentTarget.dataset.index), 1);
+                this.render();
+            });
+        });
+
+        const addRivalStintBtn = document.getElementById('addRivalStint');
+        if (addRivalStintBtn) {
+            addRivalStintBtn.addEventListener('click', () => {
+                getRivalStints().push({ compound: 'M', laps: 5, boost: 'neutral' });
+                this.render();
+            });
+        }
+
+        const copyRivalStintsBtn = document.getElementById('copyRivalStints');
+        if (copyRivalStintsBtn) {
+            copyRivalStintsBtn.addEventListener('click', () => {
+                this.state.undercut.rivalStints = Utils.deepClone(this.state.strategy.stints);
+                this.render();
+            });
+        }
+
+        // Telemetry
+        const telemetryForm = document.getElementById('telemetryForm');
+        if (telemetryForm) {
+            telemetryForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.handleTelemetry(e);
+            });
+        }
+
+        document.querySelectorAll('.deleteTelemetry').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const result = await this.database.deleteTelemetry(e.currentTarget.dataset.id);
+                if (!result.success) this.ui.showToast('Error eliminando registro', 'error');
+            });
+        });
+
+        const fitWearModelBtn = document.getElementById('fitWearModel');
+        if (fitWearModelBtn) {
+            fitWearModelBtn.addEventListener('click', () => {
+                this.state.telemetryFit = this.calculations.fitWearModel(this.state.telemetry);
+                this.render();
+            });
+        }
+
+        const applyWearFitBtn = document.getElementById('applyWearFit');
+        if (applyWearFitBtn) {
+            applyWearFitBtn.addEventListener('click', async () => {
+                const fit = this.state.telemetryFit.data;
+                const calibration = Utils.deepClone(this.calculations.calibration);
+                this.state.calibrationDraft = {
+                    ...calibration,
+                    label: `Telemetría (${fit.samples} registros)`,
+                    compounds: { ...calibration.compounds, ...fit.compounds },
+                    circuitTyreWear: { ...calibration.circuitTyreWear, ...fit.circuitTyreWear }
+                };
+                await this.saveCalibration();
+            });
+        }
+
+        // Calibration editor (admin)
+        document.querySelectorAll('.calibrationInput').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const draft = this.state.calibrationDraft || Utils.deepClone(this.calculations.calibration);
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value)) {
+                    draft[e.target.dataset.group][e.target.dataset.key] = value;
+                }
+                this.state.calibrationDraft = draft;
+            });
+        });
+
+        const calibrationLabel = document.getElementById('calibrationLabel');
+        if (calibrationLabel) {
+            calibrationLabel.addEventListener('change', (e) => {
+                const draft = this.state.calibrationDraft || Utils.deepClone(this.calculations.calibration);
+                draft.label = e.target.value.trim();
+                this.state.calibrationDraft = draft;
+            });
+        }
+
+        const saveCalibrationBtn = document.getElementById('saveCalibration');
+        if (saveCalibrationBtn) {
+            saveCalibrationBtn.addEventListener('click', () => this.saveCalibration());
+        }
+
+        const activateCalibrationBtn = document.getElementById('activateCalibration');
+        if (activateCalibrationBtn) {
+            activateCalibrationBtn.addEventListener('click', async () => {
+                const version = document.getElementById('calibrationVersionSelect').value;
+                const result = await this.database.setActiveCalibration(version);
+                this.ui.showToast(result.success ? `Calibración v${version} activada` : 'Error activando calibración', result.success ? 'success' : 'error');
+            });
+        }
+
+        // Race regulations editor (admin)
+        const saveRaceRegulationsBtn = document.getElementById('saveRaceRegulations');
+        if (saveRaceRegulationsBtn) {
+            saveRaceRegulationsBtn.addEventListener('click', () => this.saveRaceRegulations());
+        }
+
+        const resetRaceRegulationsBtn = document.getElementById('resetRaceRegulations');
+        if (resetRaceRegulationsBtn) {
+            resetRaceRegulationsBtn.addEventListener('click', async () => {
+                const { category, circuit } = this.state.strategy;
+                const result = await this.database.deleteRaceRegulations(category, circuit);
+                this.ui.showToast(result.success ? `Reglamento de ${category} restaurado` : 'Error restaurando reglamento', result.success ? 'success' : 'error');
+            });
+        }
+
+        // Named strategies
+        const strategyPicker = document.getElementById('strategyPicker');
+        if (strategyPicker) {
+            strategyPicker.addEventListener('change', async (e) => {
+                const strategy = this.state.strategies.find(saved => saved.id === e.target.value);
+                if (strategy) await this.activateStrategy(strategy);
+                this.render();
+            });
+        }
+
+        const strategyNameInput = document.getElementById('strategyName');
+        if (strategyNameInput) {
+            strategyNameInput.addEventListener('change', async (e) => {
+                const name = e.target.value.trim();
+                if (name) this.state.strategy.name = name;
+                await this.saveStrategy();
+                this.render();
+            });
+        }
+
+        const newStrategyBtn = document.getElementById('newStrategy');
+        if (newStrategyBtn) {
+            newStrategyBtn.addEventListener('click', async () => {
+                await this.activateStrategy(this.createStrategy(this.state.strategy.circuit));
+                await this.saveStrategy();
+                this.render();
+            });
+        }
+
+        const duplicateStrategyBtn = document.getElementById('duplicateStrategy');
+        if (duplicateStrategyBtn) {
+            duplicateStrategyBtn.addEventListener('click', async () => {
+                const { createdAt, ...current } = this.state.strategy;
+                await this.activateStrategy({
+                    ...current,
+                    id: Utils.generateId(),
+                    name: `${current.name} (copia)`,
+                    favourite: false
+                });
+                await this.saveStrategy();
+                this.render();
+            });
+        }
+
+        const toggleFavouriteBtn = document.getElementById('toggleFavouriteStrategy');
+        if (toggleFavouriteBtn) {
+            toggleFavouriteBtn.addEventListener('click', async () => {
+                this.state.strategy.favourite = !this.state.strategy.favourite;
+                await this.saveStrategy();
+                this.render();
+            });
+        }
 
-    attachAuthEventListeners() {
-        // Login form
-        const loginForm = document.getElementById('loginForm');
-        if (loginForm) {
-            loginForm.addEventListener('submit', async (e) => {
+        // Share links
+        const shareStrategyBtn = document.getElementById('shareStrategy');
+        if (shareStrategyBtn) {
+            shareStrategyBtn.addEventListener('click', () => this.copyStrategyLink());
+        }
+
+        // Race timeline
+        document.querySelectorAll('.timeline-handle').forEach(handle => {
+            const index = parseInt(handle.dataset.index);
+            handle.addEventListener('pointerdown', (e) => this.startTimelineDrag(e, index));
+            handle.addEventListener('keydown', (e) => {
+                const delta = e.key === 'ArrowLeft' ? -1 : e.key === 'ArrowRight' ? 1 : 0;
+                if (delta === 0) return;
                 e.preventDefault();
-                await this.handleLogin(e);
+                if (!this.moveStintBoundary(index, delta)) return;
+                this.saveStrategy();
+                this.render();
+                document.querySelector(`.timeline-handle[data-index="${index}"]`)?.focus();
             });
-        }
+        });
 
-        // Register form
-        const registerForm = document.getElementById('registerForm');
-        if (registerForm) {
-            registerForm.addEventListener('submit', async (e) => {
+        document.querySelectorAll('.timeline-stint[draggable="true"]').forEach(block => {
+            const index = parseInt(block.dataset.index);
+            block.addEventListener('dragstart', (e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(index));
+            });
+            block.addEventListener('dragover', (e) => {
                 e.preventDefault();
-                await this.handleRegister(e);
+                block.classList.add('drag-over');
+            });
+            block.addEventListener('dragleave', () => block.classList.remove('drag-over'));
+            block.addEventListener('drop', (e) => {
+                e.preventDefault();
+                this.reorderStint(parseInt(e.dataTransfer.getData('text/plain')), index);
+            });
+            block.addEventListener('keydown', (e) => {
+                if (!e.altKey || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+                e.preventDefault();
+                const target = index + (e.key === 'ArrowLeft' ? -1 : 1);
+                this.reorderStint(index, target);
+                document.querySelector(`.timeline-stint[data-index="${target}"]`)?.focus();
+            });
+        });
+
+        const fitStintsBtn = document.getElementById('fitStintsToRace');
+        if (fitStintsBtn) {
+            fitStintsBtn.addEventListener('click', () => {
+                const { stints, circuit } = this.state.strategy;
+                const last = stints[stints.length - 1];
+                const totalLaps = stints.reduce((sum, stint) => sum + stint.laps, 0);
+                last.laps = Math.max(1, last.laps + this.calculations.circuitsData[circuit].laps - totalLaps);
+                this.saveStrategy();
+                this.render();
             });
         }
 
-        // Show register button
-        const showRegisterBtn = document.getElementById('showRegister');
-        if (showRegisterBtn) {
-            showRegisterBtn.addEventListener('click', () => {
-                this.state.showRegister = true;
-                this.renderAuthScreen();
+        // Race-day sheet
+        document.querySelectorAll('.printStrategySheet').forEach(btn => {
+            btn.addEventListener('click', () => this.printStrategySheet());
+        });
+
+        // Export / import
+        document.querySelectorAll('.exportStrategy').forEach(btn => {
+            btn.addEventListener('click', (e) => this.exportStrategy(e.currentTarget.dataset.type));
+        });
+
+        const importStrategyInput = document.getElementById('importStrategyFile');
+        if (importStrategyInput) {
+            importStrategyInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                await this.importStrategyFile(file);
+                this.render();
             });
         }
 
-        // Back to login button
-        const backToLoginBtn = document.getElementById('backToLogin');
-        if (backToLoginBtn) {
-            backToLoginBtn.addEventListener('click', () => {
-                this.state.showRegister = false;
-                this.renderAuthScreen();
+        const dismissImportErrorsBtn = document.getElementById('dismissImportErrors');
+        if (dismissImportErrorsBtn) {
+            dismissImportErrorsBtn.addEventListener('click', () => {
+                this.state.importErrors = null;
+                this.render();
             });
         }
 
-        // Logout button
-        const logoutBtn = document.getElementById('logoutBtn');
-        if (logoutBtn) {
-            logoutBtn.addEventListener('click', () => {
-                this.auth.logout();
+        const saveSharedCopyBtn = document.getElementById('saveSharedCopy');
+        if (saveSharedCopyBtn) {
+            saveSharedCopyBtn.addEventListener('click', async () => {
+                await this.saveSharedStrategyCopy();
                 this.render();
-                this.ui.showToast('Sesión cerrada', 'info');
             });
         }
-    }
 
-    attachNavigationEventListeners() {
-        // Section navigation
-        document.querySelectorAll('[data-section]').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.state.currentSection = e.target.dataset.section;
+        const closeSharedStrategyBtn = document.getElementById('closeSharedStrategy');
+        if (closeSharedStrategyBtn) {
+            closeSharedStrategyBtn.addEventListener('click', () => {
+                this.closeSharedStrategy();
                 this.render();
             });
+        }
+
+        const undoStrategyBtn = document.getElementById('undoStrategy');
+        if (undoStrategyBtn) {
+            undoStrategyBtn.addEventListener('click', () => this.stepStrategyHistory(-1));
+        }
+
+        const redoStrategyBtn = document.getElementById('redoStrategy');
+        if (redoStrategyBtn) {
+            redoStrategyBtn.addEventListener('click', () => this.stepStrategyHistory(1));
+        }
+
+        // Version history
+        const strategyHistory = document.getElementById('strategyHistory');
+        if (strategyHistory) {
+            strategyHistory.addEventListener('toggle', () => {
+                this.state.history.open = strategyHistory.open;
+            });
+        }
+
+        ['historyDiffFrom', 'historyDiffTo'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (select) {
+                select.addEventListener('change', (e) => {
+                    this.state.history[selectId === 'historyDiffFrom' ? 'diffFrom' : 'diffTo'] = e.target.value;
+                    this.render();
+                });
+            }
         });
-    }
 
-    attachSectionEventListeners() {
-        // Chat form
-        const chatForm = document.getElementById('chatForm');
-        if (chatForm) {
-            chatForm.addEventListener('submit', async (e) => {
-                e.preventDefault();
-                await this.handleChatMessage(e);
+        document.querySelectorAll('.restoreVersion').forEach(btn => {
+            btn.addEventListener('click', (e) => this.restoreStrategyVersion(e.currentTarget.dataset.id));
+        });
+
+        const deleteStrategyBtn = document.getElementById('deleteStrategy');
+        if (deleteStrategyBtn) {
+            deleteStrategyBtn.addEventListener('click', async () => {
+                const { id, name, circuit } = this.state.strategy;
+                if (!confirm(`¿Eliminar la estrategia "${name}"?`)) return;
+
+                const username = this.auth.getCurrentUser().username;
+                const result = await this.database.deleteStrategy(username, circuit, id);
+                if (!result.success) {
+                    this.ui.showToast('Error eliminando estrategia', 'error');
+                    return;
+                }
+                await this.database.deleteStrategyHistory(username, id);
+
+                this.state.strategies = this.state.strategies.filter(strategy => strategy.id !== id);
+                if (!(await this.openCircuitStrategies(circuit))) {
+                    this.state.strategy = this.createStrategy(circuit);
+                    this.state.optimization = null;
+                }
+                this.ui.showToast(`Estrategia eliminada: ${name}`, 'success');
+                this.render();
             });
         }
-    }
 
-    attachStrategyEventListeners() {
-        // Circuit selection
+        // Circuit selection: opens the circuit's last-used strategy, or a new one with the current stints
         const circuitSelect = document.getElementById('circuitSelect');
         if (circuitSelect) {
-            circuitSelect.addEventListener('change', (e) => {
-                this.state.strategy.circuit = e.target.value;
-                this.saveStrategy();
+            circuitSelect.addEventListener('change', async (e) => {
+                const circuit = e.target.value;
+                if (!(await this.openCircuitStrategies(circuit))) {
+                    const { stints, weather } = this.state.strategy;
+                    await this.activateStrategy(this.createStrategy(circuit, { stints: Utils.deepClone(stints), weather: Utils.deepClone(weather) }));
+                    await this.saveStrategy();
+                }
                 this.render();
             });
         }
@@ -850,7 +3250,8 @@ class FerrariApp {
         const tyrePointsInput = document.getElementById('tyrePointsInput');
         if (tyrePointsInput) {
             tyrePointsInput.addEventListener('change', (e) => {
-                this.state.strategy.tyrePoints = Math.max(1, parseInt(e.target.value) || 100);
+                this.state.strategy.tyrePoints = Math.min(this.config.appConfig.pointsRange.max, Math.max(1, parseInt(e.target.value) || 100));
+                this.state.optimization = null;
                 this.saveStrategy();
                 this.render();
             });
@@ -860,7 +3261,8 @@ class FerrariApp {
         const fuelPointsInput = document.getElementById('fuelPointsInput');
         if (fuelPointsInput) {
             fuelPointsInput.addEventListener('change', (e) => {
-                this.state.strategy.fuelPoints = Math.max(1, parseInt(e.target.value) || 100);
+                this.state.strategy.fuelPoints = Math.min(this.config.appConfig.pointsRange.max, Math.max(1, parseInt(e.target.value) || 100));
+                this.state.optimization = null;
                 this.saveStrategy();
                 this.render();
             });
@@ -915,6 +3317,47 @@ class FerrariApp {
             });
         });
 
+        // Boost plan changes
+        document.querySelectorAll('.addBoostChange').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const stint = this.state.strategy.stints[parseInt(e.currentTarget.dataset.index)];
+                const plan = stint.boostPlan || [];
+                const lastLap = plan.length > 0 ? plan[plan.length - 1].fromLap : 1;
+                stint.boostPlan = [...plan, { fromLap: Math.min(stint.laps, lastLap + 1), boost: 'neutral' }];
+                this.saveStrategy();
+                this.render();
+            });
+        });
+
+        document.querySelectorAll('.boostPlanLap').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const stint = this.state.strategy.stints[parseInt(e.target.dataset.index)];
+                stint.boostPlan[parseInt(e.target.dataset.segment)].fromLap = Math.max(2, parseInt(e.target.value) || 2);
+                stint.boostPlan.sort((a, b) => a.fromLap - b.fromLap);
+                this.saveStrategy();
+                this.render();
+            });
+        });
+
+        document.querySelectorAll('.boostPlanSelect').forEach(select => {
+            select.addEventListener('change', (e) => {
+                const stint = this.state.strategy.stints[parseInt(e.target.dataset.index)];
+                stint.boostPlan[parseInt(e.target.dataset.segment)].boost = e.target.value;
+                this.saveStrategy();
+                this.render();
+            });
+        });
+
+        document.querySelectorAll('.removeBoostChange').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const stint = this.state.strategy.stints[parseInt(e.currentTarget.dataset.index)];
+                stint.boostPlan.splice(parseInt(e.currentTarget.dataset.segment), 1);
+                if (stint.boostPlan.length === 0) delete stint.boostPlan;
+                this.saveStrategy();
+                this.render();
+            });
+        });
+
         // Add stint button
         const addStintBtn = document.getElementById('addStint');
         if (addStintBtn) {
@@ -937,6 +3380,124 @@ class FerrariApp {
             });
         });
 
+        // Rain forecast
+        document.querySelectorAll('.weatherLapInput').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const index = parseInt(e.target.dataset.index);
+                this.state.strategy.weather[index].fromLap = Math.max(1, parseInt(e.target.value) || 1);
+                this.state.strategy.weather.sort((a, b) => a.fromLap - b.fromLap);
+                this.state.optimization = null;
+                this.saveStrategy();
+                this.render();
+            });
+        });
+
+        document.querySelectorAll('.weatherConditionSelect').forEach(select => {
+            select.addEventListener('change', (e) => {
+                const index = parseInt(e.target.dataset.index);
+                this.state.strategy.weather[index].condition = e.target.value;
+                this.state.optimization = null;
+                this.saveStrategy();
+                this.render();
+            });
+        });
+
+        document.querySelectorAll('.removeWeather').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const index = parseInt(e.target.dataset.index);
+                this.state.strategy.weather.splice(index, 1);
+                this.state.optimization = null;
+                this.saveStrategy();
+                this.render();
+            });
+        });
+
+        const addWeatherBtn = document.getElementById('addWeather');
+        if (addWeatherBtn) {
+            addWeatherBtn.addEventListener('click', () => {
+                const forecast = this.state.strategy.weather || [];
+                const lastLap = forecast.length > 0 ? forecast[forecast.length - 1].fromLap : 0;
+                forecast.push({ fromLap: lastLap + 1, condition: forecast.length % 2 === 0 ? 'wet' : 'dry' });
+                this.state.strategy.weather = forecast;
+                this.state.optimization = null;
+                this.saveStrategy();
+                this.render();
+            });
+        }
+
+        // Safety car scenarios
+        const scTypeSelect = document.getElementById('scType');
+        if (scTypeSelect) {
+            scTypeSelect.addEventListener('change', (e) => {
+                this.state.safetyCar.type = e.target.value;
+                this.render();
+            });
+        }
+
+        document.querySelectorAll('.safetyCarInput').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const value = parseInt(e.target.value);
+                if (value > 0) {
+                    this.state.safetyCar[e.target.dataset.key] = value;
+                } else if (e.target.dataset.key === 'laps') {
+                    this.state.safetyCar.laps = null;
+                }
+                this.render();
+            });
+        });
+
+        const planSafetyCarBtn = document.getElementById('planSafetyCar');
+        if (planSafetyCarBtn) {
+            planSafetyCarBtn.addEventListener('click', () => this.planSafetyCar());
+        }
+
+        document.querySelectorAll('.adoptSafetyCarPlan').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const row = this.state.safetyCar.plans.rows[parseInt(e.target.dataset.index)];
+                if (row && row.best) await this.adoptOptimizedStrategy(row.best);
+            });
+        });
+
+        // Comparison screen
+        const compareOptimizeBtn = document.getElementById('compareOptimize');
+        if (compareOptimizeBtn) {
+            compareOptimizeBtn.addEventListener('click', () => this.optimizeStrategy({ adopt: false }));
+        }
+
+        document.querySelectorAll('.adoptCompared').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const candidate = this.getComparisonCandidates()[parseInt(e.target.dataset.index)];
+                if (!candidate) return;
+                await this.adoptOptimizedStrategy(candidate);
+                this.ui.showToast(`Estrategia adoptada: ${candidate.label}`, 'success');
+            });
+        });
+
+        // Adopt one of the optimizer's Pareto plans
+        document.querySelectorAll('.adoptPlan').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const plan = this.state.optimization.pareto[parseInt(e.target.dataset.index)];
+                if (plan) await this.adoptOptimizedStrategy(plan);
+            });
+        });
+
+        // Reverse solver inputs
+        document.querySelectorAll('.solverInput').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const key = e.target.dataset.key;
+                const value = e.target.type === 'number' ? parseFloat(e.target.value) : e.target.value;
+                if (e.target.type === 'number' && (isNaN(value) || value <= 0)) return;
+                this.state.solver[key] = value;
+                this.render();
+            });
+        });
+
+        // Monte Carlo risk analysis
+        const monteCarloBtn = document.getElementById('runMonteCarlo');
+        if (monteCarloBtn) {
+            monteCarloBtn.addEventListener('click', () => this.runRiskAnalysis());
+        }
+
         // Optimize strategy button
         const optimizeBtn = document.getElementById('optimizeStrategy');
         if (optimizeBtn) {
@@ -968,7 +3529,8 @@ class FerrariApp {
             
             if (result.success) {
                 this.ui.showToast('Inicio de sesión exitoso', 'success');
-                await this.loadUserStrategy();
+                await this.loadUserStrategies();
+                this.openSharedLink();
                 this.render();
             } else {
                 this.ui.showToast(result.error, 'error');
@@ -1047,7 +3609,183 @@ class FerrariApp {
         }
     }
 
-    async optimizeStrategy() {
+    async handleCircuit(event) {
+        if (!this.auth.isAdmin()) return;
+
+        const result = await this.database.createCircuit(Object.fromEntries(new FormData(event.target)));
+
+        if (result.success) {
+            this.state.editingStates.circuit = null;
+            this.render();
+            this.ui.showToast('Circuito guardado', 'success');
+        } else {
+            this.ui.showToast('Error guardando circuito', 'error');
+        }
+    }
+
+    async handleTelemetry(event) {
+        const form = event.target;
+        const data = Object.fromEntries(new FormData(form));
+        const observedRemaining = parseFloat(data.observedRemaining);
+
+        if (!(parseInt(data.laps) > 0) || !(observedRemaining > 0 && observedRemaining < 100)) {
+            this.ui.showToast('Vueltas y % restante deben ser válidos', 'error');
+            return;
+        }
+
+        const result = await this.database.createTelemetry({
+            ...data,
+            user: this.auth.getCurrentUser().username
+        });
+
+        if (result.success) {
+            this.ui.showToast('Telemetría registrada', 'success');
+        } else {
+            this.ui.showToast('Error registrando telemetría', 'error');
+        }
+    }
+
+    async saveCalibration() {
+        if (!this.auth.isAdmin()) return;
+
+        const draft = this.state.calibrationDraft || Utils.deepClone(this.calculations.calibration);
+        const versions = [this.config.getDefaultCalibration().version, ...this.state.calibrationProfiles.map(profile => profile.version)];
+        const version = Math.max(...versions) + 1;
+
+        const saved = await this.database.saveCalibrationProfile({
+            ...draft,
+            version,
+            label: draft.label || `v${version}`,
+            createdBy: this.auth.getCurrentUser().username,
+            createdAt: Date.now()
+        });
+        const activated = saved.success && await this.database.setActiveCalibration(version);
+
+        if (saved.success && activated.success) {
+            this.ui.showToast(`Calibración v${version} guardada y activada`, 'success');
+        } else {
+            this.ui.showToast('Error guardando calibración', 'error');
+        }
+    }
+
+    async saveRaceRegulations() {
+        if (!this.auth.isAdmin()) return;
+
+        const { category, circuit } = this.state.strategy;
+        const rules = Array.from(document.querySelectorAll('.regulationInput'))
+            .filter(input => input.value !== '')
+            .map(input => ({
+                type: input.dataset.type,
+                value: input.dataset.type === 'mandatoryCompound' ? input.value : parseInt(input.value)
+            }));
+
+        const result = await this.database.saveRaceRegulations(category, circuit, {
+            rules,
+            updatedBy: this.auth.getCurrentUser().username
+        });
+
+        if (result.success) {
+            this.ui.showToast('Reglamento de la carrera guardado', 'success');
+        } else {
+            this.ui.showToast('Error guardando reglamento', 'error');
+        }
+    }
+
+    runRiskAnalysis() {
+        const readNumber = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return isNaN(value) || value < 0 ? fallback : value;
+        };
+
+        const defaults = this.config.appConfig.monteCarlo;
+        const settings = {
+            runs: defaults.runs,
+            seed: Math.floor(readNumber('mcSeed', defaults.seed)),
+            bands: {
+                tyreWear: readNumber('mcTyreBand', defaults.bands.tyreWear * 100) / 100,
+                fuel: readNumber('mcFuelBand', defaults.bands.fuel * 100) / 100,
+                pitStop: readNumber('mcPitBand', defaults.bands.pitStop)
+            }
+        };
+
+        // Current plan plus the optimizer's Pareto plans, all with the same seed
+        const { circuit, tyrePoints, fuelPoints, category } = this.state.strategy;
+        const candidates = [
+            {
+                label: `Plan actual: ${this.calculations.generateStrategyDescription(this.state.strategy.stints)}`,
+                stints: Utils.deepClone(this.state.strategy.stints)
+            },
+            ...(this.state.optimization?.pareto || []).map(plan => ({ label: plan.description, stints: plan.stints }))
+        ];
+
+        const results = candidates.map(candidate => ({
+            label: candidate.label,
+            ...this.calculations.runMonteCarlo(
+                { circuit, tyrePoints, fuelPoints, category, stints: candidate.stints },
+                settings
+            )
+        }));
+
+        this.state.riskAnalysis = { settings, results };
+        this.render();
+    }
+
+    async adoptOptimizedStrategy(optimized) {
+        this.state.strategy.stints = optimized.stints.map(stint => ({
+            compound: stint.compound,
+            laps: stint.laps,
+            boost: stint.boost || 'neutral',
+            ...(stint.boostPlan && stint.boostPlan.length > 0 ? { boostPlan: Utils.deepClone(stint.boostPlan) } : {})
+        }));
+
+        await this.saveStrategy();
+        this.render();
+    }
+
+    getOptimizerConstraints() {
+        return { maxStints: 3, minStintLength: 5, minTyreRemaining: 20 };
+    }
+
+    // Best plan for a safety car starting every `step` laps. Each row is a full optimizer run, so
+    // rows are capped and computed one at a time, letting the page repaint between them
+    async planSafetyCar() {
+        const settings = this.state.safetyCar;
+        if (settings.progress) return;
+
+        const { type, laps } = settings;
+        const totalLaps = this.calculations.circuitsData[this.state.strategy.circuit].laps;
+        const step = Math.max(settings.step, this.getSafetyCarMinStep());
+        const fromLaps = [];
+        for (let lap = step; lap < totalLaps; lap += step) fromLaps.push(lap);
+
+        const key = this.getSafetyCarKey();
+        const options = { type, laps, constraints: this.getOptimizerConstraints() };
+        const rows = [];
+
+        try {
+            settings.plans = null;
+            for (const lap of fromLaps) {
+                settings.progress = { done: rows.length, total: fromLaps.length };
+                this.render();
+                await Utils.waitForPaint();
+
+                // The strategy or the safety car changed meanwhile: the rows no longer apply
+                if (this.getSafetyCarKey() !== key) return;
+                rows.push(this.calculations.planSafetyCarLap(this.state.strategy, lap, options));
+            }
+
+            settings.plans = { key, rows };
+            if (rows.every(row => !row.best)) {
+                this.ui.showToast(rows[0]?.error || 'No se pudieron calcular los planes', 'warning');
+            }
+        } finally {
+            settings.progress = null;
+            this.render();
+        }
+    }
+
+    // `adopt: false` keeps the current plan (comparison screen)
+    async optimizeStrategy({ adopt = true } = {}) {
         try {
             this.ui.showToast('Optimizando estrategia...', 'info');
             
@@ -1060,25 +3798,23 @@ class FerrariApp {
                 this.state.strategy.tyrePoints,
                 this.state.strategy.fuelPoints,
                 {
-                    maxStints: 3,
-                    preferredCompounds: ['M', 'S', 'H'],
-                    minStintLength: 5,
-                    maxStintLength: Math.floor(circuit.laps * 0.7)
+                    ...this.getOptimizerConstraints(),
+                    weather: this.state.strategy.weather || [],
+                    category: this.state.strategy.category
                 }
             );
 
             if (result.success && result.data.recommended) {
-                this.state.strategy.stints = result.data.recommended.stints.map(stint => ({
-                    compound: stint.compound,
-                    laps: stint.laps,
-                    boost: stint.boost || 'neutral'
-                }));
-                
-                await this.saveStrategy();
-                this.render();
+                this.state.optimization = result.data;
+                if (adopt) {
+                    await this.adoptOptimizedStrategy(result.data.recommended);
+                } else {
+                    this.render();
+                }
                 this.ui.showToast('Estrategia optimizada', 'success');
             } else {
-                this.ui.showToast('No se pudo optimizar la estrategia', 'warning');
+                this.state.optimization = null;
+                this.ui.showToast(result.error || 'No se pudo optimizar la estrategia', 'warning');
             }
         } catch (error) {
             console.error('Strategy optimization error:', error);
@@ -6,6 +6,175 @@ export class Calculations {
     constructor() {
         this.circuitsData = config.getCircuitsData();
         this.boostLevels = config.appConfig.boostLevels;
+        this.raceDefaults = config.appConfig.raceDefaults;
+        this.compoundsData = config.getCompoundsData();
+        this.weatherConditions = config.getWeatherConditions();
+        this.weatherModel = config.appConfig.weatherModel;
+        this.tyreStates = config.appConfig.tyreStates;
+        this.pitWindow = config.appConfig.pitWindow;
+        this.safetyCarTypes = config.appConfig.safetyCar;
+        this.pointsRange = config.appConfig.pointsRange;
+        this.categoryRules = config.appConfig.categoryRules;
+        this.regulations = config.appConfig.regulations;
+        this.raceRegulations = {};
+        this.calibration = config.getDefaultCalibration();
+    }
+
+    // Switch the formulas to a calibration profile; missing values fall back to the built-in profile
+    setCalibration(profile = {}) {
+        const defaults = config.getDefaultCalibration();
+        this.calibration = {
+            ...defaults,
+            ...profile,
+            tyre: { ...defaults.tyre, ...profile.tyre },
+            compounds: { ...defaults.compounds, ...profile.compounds },
+            circuitTyreWear: { ...defaults.circuitTyreWear, ...profile.circuitTyreWear },
+            fuel: { ...defaults.fuel, ...profile.fuel }
+        };
+
+        this.circuitsData = config.getCircuitsData();
+        Object.entries(this.calibration.circuitTyreWear).forEach(([code, tyreWear]) => {
+            if (this.circuitsData[code]) this.circuitsData[code].tyreWear = tyreWear;
+        });
+
+        return this.calibration;
+    }
+
+    // Refit per-circuit tyre wear and compound multipliers from observed stints
+    // ({ circuit, compound, laps, tyrePoints, observedRemaining }). Least squares on the
+    // log of the per-lap decay, solved by coordinate descent; Medium stays the reference (1.0).
+    fitWearModel(records, options = {}) {
+        try {
+            const { maxIterations = 50, tolerance = 1e-6 } = options;
+            const k = this.calibration.tyre;
+
+            const samples = records
+                .filter(record =>
+                    this.circuitsData[record.circuit] &&
+                    this.calibration.compounds[record.compound] !== undefined &&
+                    record.laps > 0 && record.tyrePoints > 0 &&
+                    record.observedRemaining > 0 && record.observedRemaining < 100
+                )
+                .map(record => {
+                    // Decay per lap with a 0% wear circuit term and a 1.0 multiplier:
+                    // decay = scale * (slope * Tw + intercept) * multiplier
+                    const reference = this.calculateWearRate(record.circuit, 'M', record.tyrePoints, { tyreWearFactor: 0 });
+                    return {
+                        ...record,
+                        scale: reference.decayPerLap / k.wearIntercept,
+                        logDecay: Math.log(-Math.log(record.observedRemaining / 100) / record.laps)
+                    };
+                });
+
+            if (samples.length === 0) {
+                return Utils.handleError(new Error('No hay registros de telemetría válidos'), 'Wear model fit');
+            }
+
+            const tyreWear = {};
+            const multipliers = {};
+            samples.forEach(sample => {
+                tyreWear[sample.circuit] = this.circuitsData[sample.circuit].tyreWear;
+                multipliers[sample.compound] = this.calibration.compounds[sample.compound];
+            });
+
+            const predict = (sample, wear = tyreWear, mult = multipliers) => {
+                const decay = sample.scale * (k.wearSlope * wear[sample.circuit] + k.wearIntercept) * mult[sample.compound];
+                return 100 * Math.exp(-decay * sample.laps);
+            };
+            const rmse = (wear, mult) => Math.sqrt(
+                samples.reduce((sum, sample) => sum + Math.pow(predict(sample, wear, mult) - sample.observedRemaining, 2), 0) / samples.length
+            );
+            const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+            const initialError = rmse({ ...tyreWear }, { ...multipliers });
+            let iterations = 0;
+
+            for (; iterations < maxIterations; iterations++) {
+                let change = 0;
+
+                // Circuit step: log(slope * Tw + intercept) = mean(log decay - log scale - log multiplier)
+                Object.keys(tyreWear).forEach(code => {
+                    const own = samples.filter(sample => sample.circuit === code);
+                    const term = Math.exp(mean(own.map(sample =>
+                        sample.logDecay - Math.log(sample.scale) - Math.log(multipliers[sample.compound])
+                    )));
+                    const fitted = Math.min(200, Math.max(0, (term - k.wearIntercept) / k.wearSlope));
+                    change = Math.max(change, Math.abs(fitted - tyreWear[code]) / 100);
+                    tyreWear[code] = fitted;
+                });
+
+                // Compound step: log(multiplier) = mean(log decay - log scale - log circuit term)
+                Object.keys(multipliers).filter(code => code !== 'M').forEach(code => {
+                    const own = samples.filter(sample => sample.compound === code);
+                    const fitted = Math.exp(mean(own.map(sample =>
+                        sample.logDecay - Math.log(sample.scale) - Math.log(k.wearSlope * tyreWear[sample.circuit] + k.wearIntercept)
+                    )));
+                    change = Math.max(change, Math.abs(fitted - multipliers[code]));
+                    multipliers[code] = fitted;
+                });
+
+                if (change < tolerance) break;
+            }
+
+            const round = (values, decimals) => Object.fromEntries(
+                Object.entries(values).map(([key, value]) => [key, parseFloat(value.toFixed(decimals))])
+            );
+
+            return Utils.handleSuccess({
+                circuitTyreWear: round(tyreWear, 2),
+                compounds: round(multipliers, 4),
+                samples: samples.length,
+                iterations,
+                initialError,
+                fitError: rmse(tyreWear, multipliers),
+                residuals: samples.map(sample => ({
+                    id: sample.id,
+                    circuit: sample.circuit,
+                    compound: sample.compound,
+                    observed: sample.observedRemaining,
+                    predicted: predict(sample)
+                }))
+            });
+        } catch (error) {
+            return Utils.handleError(error, 'Wear model fit');
+        }
+    }
+
+    // Raw per-lap wear rate for a compound (shared by the stint calculator and the race simulator)
+    calculateWearRate(circuit, compound, tyrePoints, adjustments = {}) {
+        const c = this.circuitsData[circuit];
+        if (!c) return null;
+
+        const { tyreWearFactor = 1 } = adjustments;
+
+        const k = this.calibration.tyre;
+        const Te = Math.max(1, tyrePoints);  // Prevent division by zero
+        const Tw = c.tyreWear * tyreWearFactor; // Circuit tyre wear (%)
+        const D = c.length;                  // Circuit length (km)
+        const D0 = k.calibrationDistance;    // Calibration constant
+
+        // Base wear calculation (Medium compound)
+        const step1 = Te / k.referencePoints;
+        const step2 = Math.pow(step1, k.pointsExponent);
+        const step3 = k.pointsFactor * step2;
+        const step4 = k.wearSlope * Tw + k.wearIntercept;
+        const step5 = step3 * step4;
+        const step6 = D * k.lengthFactor;
+        const step7 = step5 * step6;
+        const step8 = step7 * (k.distanceScale - D0);
+        const W_M = (step8 / 10000) * 100; // Base wear M
+
+        // Compound multiplier (Medium is the base)
+        const multiplier = this.calibration.compounds[compound.toUpperCase()] ?? 1.0;
+        const Wc = W_M * multiplier;
+
+        return {
+            baseWear: W_M,
+            wearRate: Wc,
+            multiplier,
+            // Exponent applied per lap: remaining = 100 * e^(-decayPerLap * N)
+            decayPerLap: k.decayFactor * (Wc / 100)
+        };
     }
 
     // Enhanced tyre wear calculation with detailed breakdown
@@ -29,36 +198,11 @@ export class Calculations {
                 };
             }
 
-            const Te = Math.max(1, tyrePoints);  // Prevent division by zero
-            const Tw = c.tyreWear;               // Circuit tyre wear (%)
-            const D = c.length;                  // Circuit length (km)
-            const D0 = 50;                       // Calibration constant
             const N = Math.max(1, laps);         // Number of laps
-
-            // Base wear calculation (Medium compound)
-            const step1 = Te / 1.5;
-            const step2 = Math.pow(step1, -0.0778);
-            const step3 = 1.43 * step2;
-            const step4 = 0.00364 * Tw + 0.354;
-            const step5 = step3 * step4;
-            const step6 = D * 1.384612;
-            const step7 = step5 * step6;
-            const step8 = step7 * (200 - D0);
-            const W_M = (step8 / 10000) * 100; // Base wear M
-
-            // Compound multipliers (adjusted for better balance)
-            const compoundMultipliers = {
-                'SS': 2.06,    // Supersoft
-                'S': 0.642,    // Soft
-                'M': 1.00,     // Medium (base)
-                'H': 0.375     // Hard
-            };
-
-            const multiplier = compoundMultipliers[compound.toUpperCase()] || 1.0;
-            const Wc = W_M * multiplier;
+            const { baseWear: W_M, wearRate: Wc, multiplier, decayPerLap } = this.calculateWearRate(circuit, compound, tyrePoints);
 
             // Total wear calculation with exponential decay
-            const remaining = 100 * Math.exp(-1.18 * (Wc / 100) * N);
+            const remaining = 100 * Math.exp(-decayPerLap * N);
             const totalWear = 100 - remaining;
 
             // Performance impact calculation
@@ -80,8 +224,8 @@ export class Calculations {
                 lapsCompleted: N,
                 circuitInfo: {
                     name: c.name,
-                    tyreWear: Tw,
-                    length: D,
+                    tyreWear: c.tyreWear,
+                    length: c.length,
                     difficulty: c.difficulty
                 }
             };
@@ -92,46 +236,70 @@ export class Calculations {
 
     // Calculate performance impact based on tyre condition
     calculatePerformanceImpact(remaining) {
-        let status, color, impact;
-        
-        if (remaining >= 80) {
-            status = 'Excelente';
-            color = 'green';
-            impact = '0%';
-        } else if (remaining >= 60) {
-            status = 'Buena';
-            color = 'lime';
-            impact = '-0.5%';
-        } else if (remaining >= 40) {
-            status = 'Aceptable';
-            color = 'yellow';
-            impact = '-1.2%';
-        } else if (remaining >= 20) {
-            status = 'Degradada';
-            color = 'orange';
-            impact = '-2.5%';
-        } else {
-            status = 'Crítica';
-            color = 'red';
-            impact = '-4.0%';
-        }
+        const state = this.tyreStates.find(band => remaining >= band.min) || this.tyreStates[this.tyreStates.length - 1];
+        const { status, color, impact, timeLoss } = state; // timeLoss: fraction of base lap time lost
 
-        return { status, color, impact };
+        return { status, color, impact, timeLoss };
     }
 
     // Calculate recommended pit window
     calculatePitWindow(remaining, totalWear) {
-        if (remaining > 70) {
-            return { recommendation: 'Continúa', urgency: 'low' };
-        } else if (remaining > 40) {
-            return { recommendation: 'Considera parar pronto', urgency: 'medium' };
-        } else if (remaining > 20) {
-            return { recommendation: 'Para en las próximas vueltas', urgency: 'high' };
-        } else {
-            return { recommendation: '¡PARA INMEDIATAMENTE!', urgency: 'critical' };
+        const step = this.pitWindow.find(window => remaining > window.above) || this.pitWindow[this.pitWindow.length - 1];
+        return { recommendation: step.recommendation, urgency: step.urgency };
+    }
+
+    // Tyre % lap by lap through a stint (lap 0 = new set) on the calculateTyreWear model (dry track,
+    // no fuel on board), described by describeTyreCurve
+    calculateTyreCurve(circuit, compound, laps, tyrePoints) {
+        try {
+            if (!this.circuitsData[circuit]) {
+                return Utils.handleError(new Error('Circuito no encontrado'), 'Tyre curve');
+            }
+            if (laps <= 0 || tyrePoints <= 0) {
+                return Utils.handleError(new Error('Valores inválidos'), 'Tyre curve');
+            }
+
+            const { decayPerLap } = this.calculateWearRate(circuit, compound, tyrePoints);
+            const points = Array.from({ length: laps + 1 }, (_, lap) => [lap, 100 * Math.exp(-decayPerLap * lap)]);
+
+            return Utils.handleSuccess(this.describeTyreCurve(points));
+        } catch (error) {
+            return Utils.handleError(error, 'Tyre curve');
         }
     }
 
+    // First lap of every condition band and pit urgency on a [lap, remaining %] curve, from
+    // calculateTyreCurve or the laps of a simulated stint
+    describeTyreCurve(points) {
+        const firstLap = reached => {
+            const point = points.find(([lap, remaining]) => lap > 0 && reached(remaining));
+            return point ? point[0] : null;
+        };
+
+        // Bands span from their min up to the min of the band above
+        const states = this.tyreStates.map((band, index) => ({
+            status: band.status,
+            color: band.color,
+            from: band.min,
+            to: index === 0 ? 100 : this.tyreStates[index - 1].min,
+            fromLap: firstLap(remaining => this.calculatePerformanceImpact(remaining).status === band.status)
+        }));
+        const pitThresholds = this.pitWindow
+            .filter(window => window.above !== undefined)
+            .map(window => ({
+                remaining: window.above,
+                fromLap: firstLap(remaining => remaining <= window.above),
+                ...this.calculatePitWindow(window.above)
+            }));
+
+        return {
+            points,
+            states,
+            pitThresholds,
+            criticalLap: states[states.length - 1].fromLap
+        };
+    }
+
     // Enhanced fuel calculation
     calculateFuel(circuit, fuelPoints) {
         try {
@@ -145,10 +313,10 @@ export class Calculations {
             }
 
             const totalDistance = c.length * c.laps;
-            const fuel = 98.45644 * Math.pow(Math.max(1, fuelPoints), -0.088463) * totalDistance / 139.771;
             
             // Calculate fuel per lap
-            const fuelPerLap = fuel / c.laps;
+            const fuelPerLap = this.calculateFuelPerLap(circuit, fuelPoints);
+            const fuel = fuelPerLap * c.laps;
             
             // Fuel efficiency rating
             const efficiency = this.calculateFuelEfficiency(fuelPerLap, c.length);
@@ -169,6 +337,15 @@ export class Calculations {
         }
     }
 
+    // Raw fuel per lap without boost (shared by the fuel calculators and the reverse solver)
+    calculateFuelPerLap(circuit, fuelPoints) {
+        const c = this.circuitsData[circuit];
+        if (!c) return null;
+
+        const k = this.calibration.fuel;
+        return (k.base * Math.pow(Math.max(1, fuelPoints), k.pointsExponent) * c.length) / k.referenceLength;
+    }
+
     // Calculate fuel efficiency rating
     calculateFuelEfficiency(fuelPerLap, circuitLength) {
         const fuelPerKm = fuelPerLap / circuitLength;
@@ -198,7 +375,25 @@ export class Calculations {
         };
     }
 
-    // Enhanced stint fuel calculation
+    // Boost segments of a stint, by stint lap. `boost` is the level from lap 1 and the optional
+    // `boostPlan` lists later changes ([{ fromLap, boost }]); single-boost stints have no plan
+    getBoostPlan(stint) {
+        const changes = (stint.boostPlan || [])
+            .filter(change => change.fromLap > 1)
+            .sort((a, b) => a.fromLap - b.fromLap);
+        return [{ fromLap: 1, boost: stint.boost || 'neutral' }, ...changes];
+    }
+
+    // Boost level of every lap for a single level or a boost plan
+    getLapBoosts(boost, laps) {
+        const segments = Array.isArray(boost) ? boost : [{ fromLap: 1, boost }];
+        return Array.from({ length: laps }, (_, i) => {
+            const segment = segments.filter(s => s.fromLap <= i + 1).pop() || segments[0];
+            return this.boostLevels[segment.boost] ? segment.boost : 'neutral';
+        });
+    }
+
+    // Enhanced stint fuel calculation. `boost` is a level or a boost plan from getBoostPlan
     calculateStintFuel(circuit, fuelPoints, laps, boost) {
         try {
             const c = this.circuitsData[circuit];
@@ -210,26 +405,28 @@ export class Calculations {
                 return Utils.handleError(new Error('Valores inválidos'), 'Stint fuel calculation');
             }
 
-            const fuelPerLap = (98.45644 * Math.pow(Math.max(1, fuelPoints), -0.088463) * c.length) / 139.771;
-            let stintFuel = fuelPerLap * laps;
-            
-            // Apply boost multiplier
-            const boostInfo = this.boostLevels[boost] || this.boostLevels['neutral'];
-            stintFuel *= boostInfo.multiplier;
+            const fuelPerLap = this.calculateFuelPerLap(circuit, fuelPoints);
+            const lapBoosts = this.getLapBoosts(boost, laps);
+            const levels = [...new Set(lapBoosts)];
+
+            // Apply boost multiplier lap by lap
+            const multiplier = lapBoosts.reduce((sum, level) => sum + this.boostLevels[level].multiplier, 0) / laps;
+            const stintFuel = fuelPerLap * laps * multiplier;
 
             // Calculate additional info
-            const fuelSaving = ((1 - boostInfo.multiplier) * fuelPerLap * laps);
+            const fuelSaving = ((1 - multiplier) * fuelPerLap * laps);
             const timeImpact = this.calculateBoostTimeImpact(boost, laps);
 
             return Utils.handleSuccess({
                 stintFuel: Utils.formatNumber(stintFuel, 2),
-                fuelPerLap: Utils.formatNumber(fuelPerLap * boostInfo.multiplier, 3),
+                fuelPerLap: Utils.formatNumber(fuelPerLap * multiplier, 3),
                 baseFuelPerLap: Utils.formatNumber(fuelPerLap, 3),
                 boostInfo: {
-                    level: boost,
-                    multiplier: boostInfo.multiplier,
-                    label: boostInfo.label
+                    level: levels.length === 1 ? levels[0] : 'plan',
+                    multiplier,
+                    label: levels.length === 1 ? this.boostLevels[levels[0]].label : 'Plan de empuje'
                 },
+                lapBoosts,
                 fuelSaving: Utils.formatNumber(Math.abs(fuelSaving), 2),
                 timeImpact,
                 laps
@@ -239,7 +436,7 @@ export class Calculations {
         }
     }
 
-    // Calculate time impact of boost levels
+    // Calculate time impact of boost levels (a level or a boost plan)
     calculateBoostTimeImpact(boost, laps) {
         const timeImpacts = {
             'muy-alto': -0.8,   // Faster lap times
@@ -249,8 +446,9 @@ export class Calculations {
             'muy-bajo': 0.9
         };
 
-        const impactPerLap = timeImpacts[boost] || 0;
-        const totalImpact = impactPerLap * laps;
+        const totalImpact = this.getLapBoosts(boost, laps)
+            .reduce((sum, level) => sum + (timeImpacts[level] || 0), 0);
+        const impactPerLap = laps > 0 ? totalImpact / laps : 0;
 
         return {
             perLap: Utils.formatNumber(impactPerLap, 1),
@@ -259,7 +457,535 @@ export class Calculations {
         };
     }
 
-    // Strategy optimization
+    // Reverse solver: minimum tyre points to run `laps` on `compound` and keep `targetRemaining` %.
+    // Inverts remaining = 100 * e^(-decay(Te) * N), where decay(Te) = decay(Tref) * (Te / Tref)^exponent
+    solveTyrePoints(circuit, compound, laps, targetRemaining) {
+        try {
+            const { referencePoints, pointsExponent } = this.calibration.tyre;
+            const reference = this.calculateWearRate(circuit, compound, referencePoints);
+            if (!reference) {
+                return Utils.handleError(new Error('Circuito no encontrado'), 'Tyre points solver');
+            }
+
+            if (laps <= 0 || targetRemaining <= 0 || targetRemaining >= 100) {
+                return Utils.handleError(new Error('Valores inválidos'), 'Tyre points solver');
+            }
+
+            const maxDecayPerLap = -Math.log(targetRemaining / 100) / laps;
+            const exactPoints = referencePoints * Math.pow(maxDecayPerLap / reference.decayPerLap, 1 / pointsExponent);
+            const tyrePoints = Math.max(1, Math.ceil(exactPoints));
+            const check = this.calculateTyreWear(circuit, compound, laps, tyrePoints);
+
+            return Utils.handleSuccess({
+                tyrePoints,
+                exactPoints,
+                feasible: tyrePoints <= this.pointsRange.max,
+                remainingAtPoints: parseFloat(check.remaining),
+                compound: compound.toUpperCase(),
+                laps,
+                targetRemaining
+            });
+        } catch (error) {
+            return Utils.handleError(error, 'Tyre points solver');
+        }
+    }
+
+    // Reverse solver: minimum fuel points so that `laps` at `boost` fit in `tankLimit` litres.
+    // Inverts fuel = laps * fuelPerLap(1) * FP^exponent * boostMultiplier
+    solveFuelPoints(circuit, laps, tankLimit, boost = 'neutral') {
+        try {
+            const fuelPerLapAtOne = this.calculateFuelPerLap(circuit, 1);
+            if (fuelPerLapAtOne === null) {
+                return Utils.handleError(new Error('Circuito no encontrado'), 'Fuel points solver');
+            }
+
+            if (laps <= 0 || tankLimit <= 0) {
+                return Utils.handleError(new Error('Valores inválidos'), 'Fuel points solver');
+            }
+
+            const boostInfo = this.boostLevels[boost] || this.boostLevels['neutral'];
+            const fuelAtOne = laps * fuelPerLapAtOne * boostInfo.multiplier;
+            const exactPoints = Math.pow(tankLimit / fuelAtOne, 1 / this.calibration.fuel.pointsExponent);
+            const fuelPoints = Math.max(1, Math.ceil(exactPoints));
+            const check = this.calculateStintFuel(circuit, fuelPoints, laps, boost);
+
+            return Utils.handleSuccess({
+                fuelPoints,
+                exactPoints,
+                feasible: fuelPoints <= this.pointsRange.max,
+                fuelAtPoints: parseFloat(check.data.stintFuel),
+                laps,
+                tankLimit,
+                boost
+            });
+        } catch (error) {
+            return Utils.handleError(error, 'Fuel points solver');
+        }
+    }
+
+    // Sensitivity sweep of tyre and fuel points across their whole range for a strategy.
+    // Also reports the first value where one more point gains less than `minGain`.
+    calculateSensitivity(plan, options = {}) {
+        try {
+            const c = this.circuitsData[plan.circuit];
+            if (!c) {
+                return Utils.handleError(new Error('Circuito no encontrado'), 'Sensitivity analysis');
+            }
+
+            const {
+                step = 1,
+                minTyreGain = 0.05,    // % tyre per extra point
+                minFuelGain = 0.05     // L saved per extra point
+            } = options;
+
+            const points = [];
+            for (let value = this.pointsRange.min; value <= this.pointsRange.max; value += step) {
+                points.push(value);
+            }
+
+            const diminishingPoint = (values, minGain) => {
+                const index = values.findIndex((value, i) =>
+                    i > 0 && Math.abs(value - values[i - 1]) / step < minGain
+                );
+                return index === -1 ? null : points[index];
+            };
+
+            const tyre = plan.stints.map((stint, index) => {
+                const values = points.map(tyrePoints =>
+                    parseFloat(this.calculateTyreWear(plan.circuit, stint.compound, stint.laps, tyrePoints).remaining)
+                );
+                return {
+                    stint: index + 1,
+                    compound: stint.compound,
+                    laps: stint.laps,
+                    values,
+                    diminishingPoint: diminishingPoint(values, minTyreGain)
+                };
+            });
+
+            const fuelValues = points.map(fuelPoints =>
+                this.calculateTotalStrategyFuel(plan.circuit, plan.stints, fuelPoints).data.totalFuel
+            );
+
+            return Utils.handleSuccess({
+                points,
+                tyre,
+                fuel: {
+                    values: fuelValues,
+                    diminishingPoint: diminishingPoint(fuelValues, minFuelGain)
+                },
+                current: {
+                    tyrePoints: plan.tyrePoints,
+                    fuelPoints: plan.fuelPoints
+                }
+            });
+        } catch (error) {
+            return Utils.handleError(error, 'Sensitivity analysis');
+        }
+    }
+
+    // Lap time, pit-lane loss and fuel-weight penalty of a circuit (race defaults when missing)
+    getCircuitRaceData(circuit) {
+        const c = this.circuitsData[circuit] || {};
+        return {
+            baseLapTime: c.baseLapTime || this.raceDefaults.baseLapTime,
+            pitLoss: c.pitLoss || this.raceDefaults.pitStopTime,
+            fuelWeightPenalty: c.fuelWeightPenalty ?? this.raceDefaults.fuelWeightPenalty
+        };
+    }
+
+    // Lap-by-lap simulation of a single stint starting on race lap `startLap`
+    // Options: tyreWearFactor / fuelFactor scale the circuit's wear and the real consumption,
+    // fuelMargin is the extra fuel loaded on top of the calculated stint fuel, and fuelOnBoard
+    // replaces the stint's own load (fuel carried over when refuelling is not allowed)
+    simulateStint(plan, stint, startLap = 1, options = {}) {
+        const raceData = this.getCircuitRaceData(plan.circuit);
+        const {
+            baseLapTime = raceData.baseLapTime,
+            fuelWeightPenalty = raceData.fuelWeightPenalty,
+            tyreWearFactor = 1,
+            fuelFactor = 1,
+            fuelMargin = 0,
+            fuelOnBoard: startFuel = null
+        } = options;
+
+        const wear = this.calculateWearRate(plan.circuit, stint.compound, plan.tyrePoints, { tyreWearFactor });
+        const boostPlan = this.getBoostPlan(stint);
+        const fuelCalc = this.calculateStintFuel(plan.circuit, plan.fuelPoints, stint.laps, boostPlan);
+        if (!wear || !fuelCalc.success) {
+            throw new Error(fuelCalc.error || 'Circuito no encontrado');
+        }
+
+        const { lapBoosts } = fuelCalc.data;
+        const plannedFuel = parseFloat(fuelCalc.data.stintFuel);
+        const fuelLoad = startFuel ?? plannedFuel * (1 + fuelMargin);
+        // Planned fuel split over the laps by each lap's boost multiplier
+        const fuelPerMultiplier = (plannedFuel / (fuelCalc.data.boostInfo.multiplier * stint.laps)) * fuelFactor;
+
+        const laps = [];
+        let tyreRemaining = 100;
+        let time = 0;
+        let totalFuelTime = 0;
+        let fuelUsed = 0;
+
+        for (let stintLap = 1; stintLap <= stint.laps; stintLap++) {
+            const lap = startLap + stintLap - 1;
+            const wetness = this.getWetnessForLap(plan.weather, lap);
+            const weather = this.calculateWeatherImpact(stint.compound, wetness);
+            const safetyCar = this.getSafetyCarForLap(plan.safetyCar, lap);
+
+            const boost = lapBoosts[stintLap - 1];
+            const boostPerLap = parseFloat(this.calculateBoostTimeImpact(boost, 1).perLap);
+
+            // Fuel on board at the start of the lap: slower lap and more tyre wear, easing as it burns
+            const fuelOnBoard = Math.max(0, fuelLoad - fuelUsed);
+            fuelUsed += fuelPerMultiplier * this.boostLevels[boost].multiplier * (safetyCar ? safetyCar.fuelFactor : 1);
+            const fuelWearFactor = 1 + this.calibration.tyre.fuelWearPerLitre * fuelOnBoard;
+            const fuelTime = safetyCar ? 0 : fuelWeightPenalty * fuelOnBoard;
+
+            tyreRemaining *= Math.exp(-wear.decayPerLap * weather.wearFactor * fuelWearFactor * (safetyCar ? safetyCar.wearFactor : 1));
+            const performance = this.calculatePerformanceImpact(tyreRemaining);
+            // Behind the safety car everyone laps at its pace
+            const lapTime = safetyCar
+                ? baseLapTime * safetyCar.lapTimeFactor
+                : baseLapTime * (1 + performance.timeLoss + weather.timeLoss) + boostPerLap + fuelTime;
+            time += lapTime;
+            totalFuelTime += fuelTime;
+
+            laps.push({
+                lap,
+                stintLap,
+                compound: stint.compound,
+                boost,
+                tyreRemaining,
+                fuelRemaining: Math.max(0, fuelLoad - fuelUsed),
+                lapTime,
+                fuelTime,
+                fuelWearFactor,
+                wetness,
+                safetyCar: Boolean(safetyCar),
+                wrongCompound: weather.wrongCompound,
+                recommendedCompoundType: weather.recommendedCompoundType,
+                status: performance.status,
+                color: performance.color
+            });
+        }
+
+        // Ignore float noise from summing the per-lap burn
+        const fuelShortfall = fuelUsed - fuelLoad > 1e-9 ? fuelUsed - fuelLoad : 0;
+        const wrongCompoundLaps = laps.filter(lap => lap.wrongCompound).map(lap => lap.lap);
+
+        return { laps, time, fuelLoad, fuelShortfall, fuelTime: totalFuelTime, tyreRemaining, wrongCompoundLaps };
+    }
+
+    // Walk a full strategy lap by lap: tyre, fuel, lap time and gap to the ideal pace
+    simulateRace(plan, options = {}) {
+        try {
+            const c = this.circuitsData[plan.circuit];
+            if (!c) {
+                return Utils.handleError(new Error('Circuito no encontrado'), 'Race simulation');
+            }
+
+            if (!plan.stints || plan.stints.length === 0) {
+                return Utils.handleError(new Error('La estrategia no tiene stints'), 'Race simulation');
+            }
+
+            const raceData = this.getCircuitRaceData(plan.circuit);
+            const {
+                baseLapTime = raceData.baseLapTime,
+                pitStopTime = raceData.pitLoss
+            } = options;
+
+            const rules = this.getCategoryRules(plan.category);
+            const laps = [];
+            const stints = [];
+            let raceTime = 0;
+            let totalFuel = 0;
+            let carriedFuel = 0;
+
+            // Without refuelling the whole race fuel is loaded at the start
+            const raceFuel = rules && !rules.refuelling
+                ? this.calculateTotalStrategyFuel(plan.circuit, plan.stints, plan.fuelPoints).data.totalFuel * (1 + (options.fuelMargin || 0))
+                : null;
+
+            plan.stints.forEach((stint, index) => {
+                const startLap = laps.length + 1;
+                const fuelOnBoard = raceFuel === null ? null : (index === 0 ? raceFuel : carriedFuel);
+                const stintSim = this.simulateStint(plan, stint, startLap, { ...options, baseLapTime, fuelOnBoard });
+                const isLastStint = index === plan.stints.length - 1;
+
+                // Refuelling time is charged to the previous in-lap together with the pit-lane loss
+                let refuelTime = 0;
+                if (index > 0 && rules && rules.refuelling) {
+                    refuelTime = Math.max(0, stintSim.fuelLoad - carriedFuel) * rules.refuelTimePerLitre;
+                    const inLap = laps[laps.length - 1];
+                    inLap.lapTime += refuelTime;
+                    inLap.refuelTime = refuelTime;
+                    raceTime += refuelTime;
+                    inLap.raceTime = raceTime;
+                    inLap.gap += refuelTime;
+                }
+
+                stintSim.laps.forEach(lap => {
+                    const pitStop = isLastStint ? false : lap.stintLap === stint.laps;
+                    // Pit-lane loss is charged to the in-lap (reduced when the field is neutralised)
+                    const safetyCar = this.getSafetyCarForLap(plan.safetyCar, lap.lap);
+                    const lapTime = lap.lapTime + (pitStop ? pitStopTime * (safetyCar ? safetyCar.pitLossFactor : 1) : 0);
+                    raceTime += lapTime;
+
+                    laps.push({
+                        ...lap,
+                        stint: index + 1,
+                        lapTime,
+                        pitStop,
+                        raceTime,
+                        gap: raceTime - lap.lap * baseLapTime
+                    });
+                });
+
+                totalFuel += raceFuel === null ? stintSim.fuelLoad : (index === 0 ? raceFuel : 0);
+                carriedFuel = stintSim.laps[stintSim.laps.length - 1].fuelRemaining;
+                stints.push({
+                    stint: index + 1,
+                    compound: stint.compound,
+                    startLap,
+                    endLap: startLap + stint.laps - 1,
+                    time: stintSim.time,
+                    fuelLoad: stintSim.fuelLoad,
+                    fuelShortfall: stintSim.fuelShortfall,
+                    fuelTime: stintSim.fuelTime,
+                    refuelTime,
+                    tyreRemaining: stintSim.tyreRemaining,
+                    wrongCompoundLaps: stintSim.wrongCompoundLaps
+                });
+            });
+
+            return Utils.handleSuccess({
+                laps,
+                stints,
+                totalTime: raceTime,
+                totalFuel,
+                totalLaps: laps.length,
+                pitStops: plan.stints.length - 1,
+                wrongCompoundLaps: laps.filter(lap => lap.wrongCompound).map(lap => lap.lap),
+                baseLapTime,
+                pitStopTime,
+                rules
+            });
+        } catch (error) {
+            return Utils.handleError(error, 'Race simulation');
+        }
+    }
+
+    // Pitting under a safety car: for every lap N, the plan as it stands with a safety car from
+    // lap N against the same plan with its nearest stop moved to lap N. Negative delta = it helps
+    // (differences within `tolerance` seconds count as neutral)
+    calculateSafetyCarImpact(plan, options = {}) {
+        try {
+            const { type = 'SC', laps = null, tolerance = 0.05 } = options;
+            if (!this.safetyCarTypes[type]) {
+                return Utils.handleError(new Error('Tipo de safety car desconocido'), 'Safety car impact');
+            }
+
+            const totalLaps = plan.stints.reduce((sum, stint) => sum + stint.laps, 0);
+            const regulations = this.getRegulations(plan.category, plan.circuit);
+            const stopLaps = this.getStopLaps(plan.stints);
+            const results = [];
+
+            for (let lap = 1; lap < totalLaps; lap++) {
+                const safetyCar = { type, fromLap: lap, ...(laps ? { laps } : {}) };
+                const planned = this.simulateRace({ ...plan, safetyCar });
+                if (!planned.success) return planned;
+
+                const stints = this.moveStopToLap(plan.stints, lap);
+                const pitting = this.simulateRace({ ...plan, stints, safetyCar });
+                if (!pitting.success) return pitting;
+
+                const delta = pitting.data.totalTime - planned.data.totalTime;
+                results.push({
+                    lap,
+                    plannedTime: planned.data.totalTime,
+                    pitTime: pitting.data.totalTime,
+                    delta,
+                    helps: delta < -tolerance,
+                    hurts: delta > tolerance,
+                    plannedStop: stopLaps.includes(lap),
+                    legal: this.checkRegulations(stints, regulations).length === 0,
+                    stints
+                });
+            }
+
+            return Utils.handleSuccess({
+                type,
+                laps: results,
+                helpLaps: results.filter(result => result.helps).map(result => result.lap),
+                hurtLaps: results.filter(result => result.hurts).map(result => result.lap)
+            });
+        } catch (error) {
+            return Utils.handleError(error, 'Safety car impact');
+        }
+    }
+
+    // Laps on which a plan's stops happen (end lap of every stint but the last)
+    getStopLaps(stints) {
+        let covered = 0;
+        return stints.slice(0, -1).map(stint => (covered += stint.laps));
+    }
+
+    // Copy of the stints with the stop nearest to `lap` moved to the end of that lap. A stop can
+    // only move between its neighbours; a plan without stops is split there on the same compound
+    moveStopToLap(stints, lap) {
+        const moved = Utils.deepClone(stints);
+        if (moved.length === 1) {
+            const { compound, boost, laps } = moved[0];
+            return [{ ...moved[0], laps: lap }, { compound, boost, laps: laps - lap }];
+        }
+
+        const stopLaps = this.getStopLaps(moved);
+        const totalLaps = stopLaps[stopLaps.length - 1] + moved[moved.length - 1].laps;
+        let nearest = null;
+        stopLaps.forEach((stopLap, index) => {
+            const previous = index > 0 ? stopLaps[index - 1] : 0;
+            const next = index < stopLaps.length - 1 ? stopLaps[index + 1] : totalLaps;
+            if (lap <= previous || lap >= next) return;
+            if (nearest === null || Math.abs(stopLap - lap) < Math.abs(stopLaps[nearest] - lap)) nearest = index;
+        });
+
+        const shift = lap - stopLaps[nearest];
+        moved[nearest].laps += shift;
+        moved[nearest + 1].laps -= shift;
+        return moved;
+    }
+
+    // "Best plan if the safety car comes out on lap N": the optimizer rerun with the safety car
+    // period from each lap, next to the current plan under the same period
+    planForSafetyCar(plan, options = {}) {
+        try {
+            const { type = 'SC', fromLaps = [] } = options;
+            if (!this.circuitsData[plan.circuit]) {
+                return Utils.handleError(new Error('Circuito no encontrado'), 'Safety car planning');
+            }
+
+            return Utils.handleSuccess({ type, rows: fromLaps.map(lap => this.planSafetyCarLap(plan, lap, options)) });
+        } catch (error) {
+            return Utils.handleError(error, 'Safety car planning');
+        }
+    }
+
+    // One row of planForSafetyCar (a full optimizer run), so callers can spread the rows over time
+    planSafetyCarLap(plan, lap, options = {}) {
+        const { type = 'SC', laps = null, constraints = {} } = options;
+        const safetyCar = { type, fromLap: lap, ...(laps ? { laps } : {}) };
+        const current = this.simulateRace({ ...plan, safetyCar });
+        const optimized = this.optimizeStrategy(plan.circuit, this.circuitsData[plan.circuit].laps, plan.tyrePoints, plan.fuelPoints, {
+            ...constraints,
+            weather: plan.weather || [],
+            category: plan.category,
+            safetyCar
+        });
+        const best = optimized.success ? optimized.data.recommended : null;
+        const currentTime = current.success ? current.data.totalTime : null;
+
+        return {
+            lap,
+            best,
+            error: optimized.success ? null : optimized.error,
+            currentTime,
+            gain: best && currentTime !== null ? currentTime - best.totalTime : null
+        };
+    }
+
+    // Two-car undercut / overcut: gap evolution between our plan and a rival's plan on the same
+    // circuit, and the effect of moving our first stop around the rival's first stop.
+    // `gap` is the starting gap in seconds (positive = we are behind the rival).
+    calculateUndercut(plan, rivalPlan, options = {}) {
+        try {
+            const { gap = 0, window = 5 } = options;
+            const pitLoss = options.pitLoss ?? this.getCircuitRaceData(plan.circuit).pitLoss;
+
+            // The rival shares the circuit and forecast; points default to ours
+            const rival = { ...plan, ...rivalPlan, circuit: plan.circuit };
+            if (plan.stints.length < 2 || rival.stints.length < 2) {
+                return Utils.handleError(new Error('Ambas estrategias necesitan al menos una parada'), 'Undercut calculation');
+            }
+
+            const simOptions = { pitStopTime: pitLoss };
+            const rivalSim = this.simulateRace(rival, simOptions);
+            const ourSim = this.simulateRace(plan, simOptions);
+            if (!rivalSim.success) return rivalSim;
+            if (!ourSim.success) return ourSim;
+
+            const totalLaps = Math.min(ourSim.data.totalLaps, rivalSim.data.totalLaps);
+            const rivalStopLap = rival.stints[0].laps;
+            const ourStopLap = plan.stints[0].laps;
+
+            const gapAt = (sim, lap) => gap + sim.data.laps[lap - 1].raceTime - rivalSim.data.laps[lap - 1].raceTime;
+
+            const laps = [];
+            for (let lap = 1; lap <= totalLaps; lap++) {
+                const ours = ourSim.data.laps[lap - 1];
+                const theirs = rivalSim.data.laps[lap - 1];
+                laps.push({
+                    lap,
+                    ourLapTime: ours.lapTime,
+                    rivalLapTime: theirs.lapTime,
+                    ourPit: ours.pitStop,
+                    rivalPit: theirs.pitStop,
+                    ourTyre: ours.tyreRemaining,
+                    rivalTyre: theirs.tyreRemaining,
+                    gap: gapAt(ourSim, lap)
+                });
+            }
+
+            // Move our first stop across the window; the second stint absorbs the difference
+            const firstLap = Math.max(1, rivalStopLap - window);
+            const lastLap = Math.min(plan.stints[0].laps + plan.stints[1].laps - 1, rivalStopLap + window);
+            const compareLap = Math.min(totalLaps, Math.max(rivalStopLap, lastLap) + 1);
+            const startsAhead = gap < 0;
+
+            const stopOptions = [];
+            for (let stopLap = firstLap; stopLap <= lastLap; stopLap++) {
+                const stints = plan.stints.map(stint => ({ ...stint }));
+                stints[1].laps += stints[0].laps - stopLap;
+                stints[0].laps = stopLap;
+
+                const sim = this.simulateRace({ ...plan, stints }, simOptions);
+                if (!sim.success) continue;
+
+                const gapAfter = gapAt(sim, compareLap);
+                stopOptions.push({
+                    stopLap,
+                    type: stopLap < rivalStopLap ? 'undercut' : stopLap > rivalStopLap ? 'overcut' : 'same',
+                    gapAfter,
+                    ahead: gapAfter < 0,
+                    gainsPosition: !startsAhead && gapAfter < 0,
+                    losesPosition: startsAhead && gapAfter >= 0
+                });
+            }
+
+            const best = stopOptions.length > 0
+                ? stopOptions.reduce((a, b) => (b.gapAfter < a.gapAfter ? b : a))
+                : null;
+
+            return Utils.handleSuccess({
+                laps,
+                rivalStopLap,
+                ourStopLap,
+                compareLap,
+                startsAhead,
+                finalGap: laps[laps.length - 1].gap,
+                options: stopOptions,
+                best,
+                gainLaps: stopOptions.filter(option => option.gainsPosition).map(option => option.stopLap),
+                lossLaps: stopOptions.filter(option => option.losesPosition).map(option => option.stopLap)
+            });
+        } catch (error) {
+            return Utils.handleError(error, 'Undercut calculation');
+        }
+    }
+
+    // Strategy optimization: searches every compound sequence, stint length and boost level
+    // up to `maxStints` and returns the Pareto set of fastest vs. safest plans
     optimizeStrategy(circuit, totalLaps, tyrePoints, fuelPoints, constraints = {}) {
         try {
             const c = this.circuitsData[circuit];
@@ -269,29 +995,141 @@ export class Calculations {
 
             const {
                 maxStints = 3,
-                preferredCompounds = ['M', 'S'],
+                compounds = Object.keys(this.compoundsData),
+                boostLevels = Object.keys(this.boostLevels),
                 minStintLength = 5,
-                maxStintLength = Math.floor(totalLaps * 0.7)
+                maxStintLength = totalLaps,
+                minTyreRemaining = 20,       // % left at the end of every stint
+                maxStintFuel = Infinity,     // L loaded for a single stint
+                maxAlternatives = 4,
+                weather = [],
+                category = null,
+                safetyCar = null
             } = constraints;
 
-            // Generate possible strategies
-            const strategies = this.generateStrategies(
-                circuit, totalLaps, tyrePoints, fuelPoints,
-                maxStints, preferredCompounds, minStintLength, maxStintLength
-            );
+            // Category rules: a stint cannot load more than the tank, and without refuelling
+            // the whole race fuel has to fit in it
+            const rules = this.getCategoryRules(category);
+            const stintFuelLimit = rules && rules.refuelling ? Math.min(maxStintFuel, rules.tankCapacity) : maxStintFuel;
+            const raceFuelLimit = rules && !rules.refuelling ? rules.tankCapacity : Infinity;
+            const refuelTimePerLitre = rules && rules.refuelling ? rules.refuelTimePerLitre : 0;
 
-            // Evaluate and rank strategies
-            const evaluatedStrategies = strategies
-                .map(strategy => ({
-                    ...strategy,
-                    score: this.evaluateStrategy(strategy, c)
-                }))
-                .sort((a, b) => b.score - a.score)
-                .slice(0, 5); // Top 5 strategies
+            // Regulations: stint length and stop limits narrow the search; compound rules are
+            // checked on complete plans, so partial plans only compete with plans in the same
+            // compound state: the dry compounds used until the rule is met (or waived by a wet
+            // compound) and whether the mandatory compound is in
+            const regulations = this.getRegulations(category, circuit);
+            const ruleValue = (type, fallback) => {
+                const rule = regulations.find(r => r.type === type);
+                return rule ? rule.value : fallback;
+            };
+            const minDryCompounds = ruleValue('minDryCompounds', 0);
+            const mandatoryCompound = ruleValue('mandatoryCompound', null);
+            const trackCompounds = minDryCompounds > 0 || mandatoryCompound !== null;
+            const compoundKey = (stints) => {
+                const used = [...new Set(stints.map(stint => stint.compound))].sort();
+                const waived = used.some(code => (this.compoundsData[code] || {}).type !== 'dry');
+                return [
+                    waived || used.length >= minDryCompounds ? '' : used.join(),
+                    mandatoryCompound !== null && used.includes(mandatoryCompound) ? mandatoryCompound : ''
+                ].join('|');
+            };
+            const stintLimit = Math.min(maxStints, ruleValue('maxStops', Infinity) + 1);
+
+            const plan = { circuit, tyrePoints, fuelPoints, weather, category, ...(safetyCar ? { safetyCar } : {}) };
+            const pitStopTime = this.getCircuitRaceData(circuit).pitLoss;
+            // Stop at the end of `lap`, cheaper under a safety car
+            const pitLossAt = (lap) => {
+                const neutralised = this.getSafetyCarForLap(safetyCar, lap);
+                return pitStopTime * (neutralised ? neutralised.pitLossFactor : 1);
+            };
+            const stintOptions = this.buildStintOptions(plan, {
+                totalLaps, compounds, boostLevels, minTyreRemaining,
+                minStintLength: Math.max(minStintLength, ruleValue('minStintLaps', 0)),
+                maxStintLength: Math.min(maxStintLength, ruleValue('maxStintLaps', Infinity)),
+                maxStintFuel: stintFuelLimit,
+                trackFuel: raceFuelLimit < Infinity
+            });
+
+            // Without refuelling, a partial plan whose fuel leaves room for the rest of the race at
+            // the highest consumption can never run out, so its fuel no longer matters for dominance
+            const maxFuelPerLap = Math.max(0, ...stintOptions(1).map(option => option.fuelLoad / option.laps));
+            const safeFuel = (coveredLaps) => raceFuelLimit - (totalLaps - coveredLaps) * maxFuelPerLap;
+
+            // fronts[k][n]: non-dominated partial plans covering n laps with k stints
+            const fronts = Array.from({ length: stintLimit + 1 }, () => new Map());
+            fronts[0].set(0, [{ time: 0, minTyre: 100, fuel: 0, compoundKey: '', stints: [] }]);
+
+            for (let k = 1; k <= stintLimit; k++) {
+                for (const [coveredLaps, partials] of fronts[k - 1]) {
+                    for (const option of stintOptions(coveredLaps + 1)) {
+                        const reached = coveredLaps + option.laps;
+                        if (reached > totalLaps) continue;
+
+                        // Partials are sorted by time: once a fuel-safe one keeps more tyre than this stint
+                        // leaves, every slower partial ends on the same tyre and only adds dominated plans
+                        for (const partial of partials) {
+                            const fuel = partial.fuel + option.fuelLoad;
+                            if (fuel > raceFuelLimit) continue;
+
+                            const stints = [...partial.stints, option];
+                            this.insertParetoCandidate(fronts[k], reached, {
+                                time: partial.time + option.time + (k > 1 ? pitLossAt(coveredLaps) + option.fuelLoad * refuelTimePerLitre : 0),
+                                minTyre: Math.min(partial.minTyre, option.tyreRemaining),
+                                fuel,
+                                compoundKey: trackCompounds ? compoundKey(stints) : '',
+                                stints
+                            }, safeFuel(reached));
+
+                            if (!trackCompounds && partial.minTyre >= option.tyreRemaining && fuel <= safeFuel(reached)) break;
+                        }
+                    }
+                }
+            }
+
+            const complete = fronts
+                .flatMap(front => front.get(totalLaps) || [])
+                .filter(candidate => this.checkRegulations(candidate.stints, regulations).length === 0);
+            if (complete.length === 0) {
+                return Utils.handleError(
+                    new Error('Ninguna estrategia cumple las restricciones y el reglamento'),
+                    'Strategy optimization'
+                );
+            }
+
+            // Stint times assume each stint carries only its own fuel; without refuelling the
+            // race fuel is carried from the start, so re-time the complete plans
+            if (raceFuelLimit < Infinity) {
+                complete.forEach(candidate => {
+                    const simulation = this.simulateRace({ ...plan, stints: candidate.stints });
+                    candidate.time = simulation.data.totalTime;
+                    candidate.minTyre = Math.min(...simulation.data.stints.map(stint => stint.tyreRemaining));
+                    candidate.stints = candidate.stints.map((option, index) => ({
+                        ...option,
+                        tyreRemaining: simulation.data.stints[index].tyreRemaining
+                    }));
+                });
+            }
+
+            const strategies = complete.map(candidate => this.toOptimizedStrategy(candidate, plan));
+            const pareto = this.getParetoFront(strategies);
+
+            // Alternatives: the rest of the Pareto set plus the fastest plan for each number of stops
+            const bestByStops = new Map();
+            strategies.forEach(strategy => {
+                const best = bestByStops.get(strategy.pitStops);
+                if (!best || strategy.totalTime < best.totalTime) bestByStops.set(strategy.pitStops, strategy);
+            });
+
+            const alternatives = Utils.arrayUnique([...pareto.slice(1), ...bestByStops.values()], 'description')
+                .filter(strategy => strategy !== pareto[0] && strategy.description !== pareto[0].description)
+                .sort((a, b) => a.totalTime - b.totalTime)
+                .slice(0, maxAlternatives);
 
             return Utils.handleSuccess({
-                recommended: evaluatedStrategies[0],
-                alternatives: evaluatedStrategies.slice(1),
+                recommended: pareto[0],
+                alternatives,
+                pareto,
                 circuitInfo: {
                     name: c.name,
                     totalLaps,
@@ -303,101 +1141,252 @@ export class Calculations {
         }
     }
 
-    // Generate possible strategies
-    generateStrategies(circuit, totalLaps, tyrePoints, fuelPoints, maxStints, compounds, minLength, maxLength) {
-        const strategies = [];
-        
-        // Simple strategy generation (can be enhanced with more sophisticated algorithms)
-        for (let numStints = 1; numStints <= maxStints; numStints++) {
-            const avgStintLength = Math.floor(totalLaps / numStints);
-            
-            if (avgStintLength >= minLength && avgStintLength <= maxLength) {
-                for (const compound of compounds) {
-                    const strategy = this.createBalancedStrategy(
-                        circuit, totalLaps, numStints, compound, tyrePoints, fuelPoints
-                    );
-                    
-                    if (strategy && this.validateStrategy(strategy, totalLaps)) {
-                        strategies.push(strategy);
-                    }
-                }
+    // Stint candidates for the optimizer, memoised per start lap. Boost changes wear through the
+    // fuel carried, so for every compound and length each boost that fits the fuel limit is kept
+    // unless another boost is at least as fast with at least as much tyre left (and, with
+    // `trackFuel`, no more fuel). Without lap-dependent conditions (weather, safety car) every
+    // start lap shares the same candidates.
+    buildStintOptions(plan, limits) {
+        const cache = new Map();
+        const { totalLaps, compounds, boostLevels, minStintLength, maxStintLength, minTyreRemaining, maxStintFuel, trackFuel = false } = limits;
+        const lapDependent = Boolean((plan.weather && plan.weather.length > 0) || plan.safetyCar);
+        const dominates = (a, b) =>
+            a.time <= b.time && a.tyreRemaining >= b.tyreRemaining && (!trackFuel || a.fuelLoad <= b.fuelLoad);
+
+        return (startLap) => {
+            if (!lapDependent) {
+                startLap = 1;
             }
-        }
+            if (cache.has(startLap)) return cache.get(startLap);
+
+            const options = [];
+            const maxLaps = Math.min(maxStintLength, totalLaps - startLap + 1);
+
+            for (let laps = minStintLength; laps <= maxLaps; laps++) {
+                compounds.forEach(compound => {
+                    let kept = [];
 
-        return strategies;
+                    boostLevels.forEach(boost => {
+                        const sim = this.simulateStint(plan, { compound, laps, boost }, startLap);
+                        if (sim.tyreRemaining < minTyreRemaining || sim.fuelLoad > maxStintFuel) return;
+
+                        const option = { compound, laps, boost, time: sim.time, fuelLoad: sim.fuelLoad, tyreRemaining: sim.tyreRemaining };
+                        if (kept.some(other => dominates(other, option))) return;
+                        kept = [...kept.filter(other => !dominates(option, other)), option];
+                    });
+
+                    options.push(...kept);
+                });
+            }
+
+            cache.set(startLap, options);
+            return options;
+        };
     }
 
-    // Create a balanced strategy
-    createBalancedStrategy(circuit, totalLaps, numStints, primaryCompound, tyrePoints, fuelPoints) {
-        const stints = [];
-        let remainingLaps = totalLaps;
-        
-        for (let i = 0; i < numStints; i++) {
-            const isLastStint = i === numStints - 1;
-            const stintLaps = isLastStint ? remainingLaps : Math.floor(remainingLaps / (numStints - i));
-            
-            // Vary compounds for multi-stint strategies
-            let compound = primaryCompound;
-            if (numStints > 1) {
-                if (i === 0) compound = 'S'; // Start with softer compound
-                else if (i === numStints - 1) compound = 'H'; // End with harder compound
-                else compound = primaryCompound;
-            }
-
-            stints.push({
-                stint: i + 1,
-                compound,
-                laps: stintLaps,
-                boost: 'neutral'
-            });
+    // Keep only candidates that are not both slower and less safe than another one
+    // A plan carrying more than `safeFuel` only dominates plans carrying at least as much fuel
+    // (race fuel limit without refuelling); plans in a different compound state never dominate each other.
+    // Fronts are kept sorted by time: only faster plans can dominate the candidate, and the
+    // closest ones (checked first) are the likeliest to
+    insertParetoCandidate(front, laps, candidate, safeFuel = Infinity) {
+        const current = front.get(laps) || [];
+        const dominates = (a, b) =>
+            a.compoundKey === b.compoundKey &&
+            a.time <= b.time && a.minTyre >= b.minTyre && (a.fuel <= safeFuel || a.fuel <= b.fuel);
 
-            remainingLaps -= stintLaps;
+        let index = current.length;
+        while (index > 0 && current[index - 1].time > candidate.time) index--;
+        for (let i = index - 1; i >= 0; i--) {
+            if (dominates(current[i], candidate)) return;
         }
 
-        return {
+        front.set(laps, [
+            ...current.slice(0, index),
+            candidate,
+            ...current.slice(index).filter(other => !dominates(candidate, other))
+        ]);
+    }
+
+    // Pareto set of complete strategies, fastest first
+    getParetoFront(strategies) {
+        const sorted = [...strategies].sort((a, b) =>
+            a.totalTime - b.totalTime || b.minTyreRemaining - a.minTyreRemaining
+        );
+
+        const front = [];
+        sorted.forEach(strategy => {
+            const last = front[front.length - 1];
+            if (!last || strategy.minTyreRemaining > last.minTyreRemaining) {
+                front.push(strategy);
+            }
+        });
+
+        return front;
+    }
+
+    toOptimizedStrategy(candidate, plan) {
+        const stints = candidate.stints.map((option, index) => ({
+            stint: index + 1,
+            compound: option.compound,
+            laps: option.laps,
+            boost: option.boost,
+            tyreRemaining: Utils.formatNumber(option.tyreRemaining, 2)
+        }));
+
+        const strategy = {
             stints,
-            totalFuel: this.calculateTotalStrategyFuel(circuit, stints, fuelPoints),
+            totalTime: candidate.time,
+            totalFuel: candidate.fuel,
+            minTyreRemaining: candidate.minTyre,
+            pitStops: stints.length - 1,
             description: this.generateStrategyDescription(stints)
         };
+
+        return { ...strategy, score: this.evaluateStrategy(strategy, plan) };
     }
 
     // Validate strategy
-    validateStrategy(strategy, totalLaps) {
+    validateStrategy(strategy, totalLaps, rules = []) {
         const totalStintLaps = strategy.stints.reduce((sum, stint) => sum + stint.laps, 0);
-        return totalStintLaps === totalLaps && strategy.stints.every(stint => stint.laps > 0);
+        return totalStintLaps === totalLaps &&
+            strategy.stints.every(stint => stint.laps > 0) &&
+            this.checkRegulations(strategy.stints, rules).length === 0;
     }
 
-    // Evaluate strategy score
-    evaluateStrategy(strategy, circuitInfo) {
+    // Race-specific regulations ({ [category]: { [circuit]: { rules } } }) from the database
+    setRaceRegulations(raceRegulations) {
+        this.raceRegulations = raceRegulations || {};
+    }
+
+    // Rules for a race: its own set when it has one, otherwise its category's
+    getRegulations(category, circuit) {
+        const race = this.raceRegulations[category] && this.raceRegulations[category][circuit];
+        if (race) return race.rules || [];
+        return (category && this.regulations[category]) || [];
+    }
+
+    // Check stints against { type, value } regulation rules. Each violation names the stint
+    // it concerns, or null when it applies to the whole strategy
+    checkRegulations(stints, rules) {
+        const stops = stints.length - 1;
+        const compoundName = (code) => (this.compoundsData[code] || { name: code }).name;
+        const violations = [];
+        const add = (stint, rule, message) => violations.push({ stint, rule, message });
+
+        rules.forEach(({ type, value }) => {
+            switch (type) {
+                case 'minStintLaps':
+                    stints.forEach((stint, index) => {
+                        if (stint.laps < value) add(index + 1, type, `Stint ${index + 1}: mínimo ${value} vueltas por stint`);
+                    });
+                    break;
+                case 'maxStintLaps':
+                    stints.forEach((stint, index) => {
+                        if (stint.laps > value) add(index + 1, type, `Stint ${index + 1}: máximo ${value} vueltas por stint`);
+                    });
+                    break;
+                case 'minStops':
+                    if (stops < value) add(null, type, `Hay que hacer al menos ${value} ${value === 1 ? 'parada' : 'paradas'}`);
+                    break;
+                case 'maxStops':
+                    // Flag the first stint beyond the limit
+                    if (stops > value) add(value + 2, type, `Máximo ${value} ${value === 1 ? 'parada' : 'paradas'}: el stint ${value + 2} sobra`);
+                    break;
+                case 'mandatoryCompound':
+                    if (!stints.some(stint => stint.compound === value)) {
+                        add(null, type, `Hay que usar el compuesto ${compoundName(value)}`);
+                    }
+                    break;
+                case 'minDryCompounds': {
+                    // Waived when the race uses intermediates or wets
+                    const allDry = stints.every(stint => (this.compoundsData[stint.compound] || {}).type === 'dry');
+                    const used = new Set(stints.map(stint => stint.compound));
+                    if (allDry && used.size < value) {
+                        add(null, type, `Hay que usar al menos ${value} compuestos de seco distintos (usados: ${[...used].map(compoundName).join(', ')})`);
+                    }
+                    break;
+                }
+            }
+        });
+
+        return violations;
+    }
+
+    // Normalise the planner context used by the scoring pipeline. A bare circuit code is
+    // still accepted for older callers and falls back to 100 tyre/fuel points.
+    resolvePlanContext(context) {
+        const { circuit, tyrePoints = 100, fuelPoints = 100, weather = [], category = null, safetyCar = null } =
+            typeof context === 'string' ? { circuit: context } : (context || {});
+
+        return { circuit, tyrePoints, fuelPoints, weather, category, safetyCar };
+    }
+
+    // Evaluate strategy score (0-100) from its simulated race time and tyre risk
+    evaluateStrategy(strategy, context) {
+        const plan = { ...this.resolvePlanContext(context), stints: strategy.stints };
+        const simulation = this.simulateRace(plan);
+        if (!simulation.success) return 0;
+
+        const { totalTime, totalLaps, baseLapTime, stints } = simulation.data;
         let score = 100; // Base score
 
-        // Penalize for too many stints (more pit stops)
-        score -= (strategy.stints.length - 1) * 15;
+        // Penalize time lost against the ideal race (10 points per 1% slower)
+        const idealTime = totalLaps * baseLapTime;
+        score -= ((totalTime - idealTime) / idealTime) * 1000;
 
         // Evaluate each stint
-        strategy.stints.forEach(stint => {
-            const tyreWear = this.calculateTyreWear(
-                circuitInfo.name, stint.compound, stint.laps, 100
-            );
-
+        stints.forEach(stint => {
             // Penalize if tyres are too degraded
-            if (tyreWear.remaining < 20) score -= 30;
-            else if (tyreWear.remaining < 40) score -= 15;
-            else if (tyreWear.remaining > 80) score -= 5; // Slight penalty for not using tyres enough
+            if (stint.tyreRemaining < 20) score -= 30;
+            else if (stint.tyreRemaining < 40) score -= 15;
+            else if (stint.tyreRemaining > 80) score -= 5; // Slight penalty for not using tyres enough
+        });
+
+        return parseFloat(Utils.formatNumber(Math.max(0, score), 1));
+    }
+
+    // Calculate total fuel for strategy, flagging the category's tank and refuelling rules
+    calculateTotalStrategyFuel(circuit, stints, fuelPoints, category = null) {
+        const stintFuel = stints.map(stint => {
+            const fuel = this.calculateStintFuel(circuit, fuelPoints, stint.laps, this.getBoostPlan(stint));
+            return fuel.success ? parseFloat(fuel.data.stintFuel) : 0;
+        });
+        const totalFuel = stintFuel.reduce((total, fuel) => total + fuel, 0);
+        const rules = this.getCategoryRules(category);
 
-            // Bonus for balanced stint lengths
-            if (stint.laps >= 8 && stint.laps <= 25) score += 5;
+        return Utils.handleSuccess({
+            totalFuel,
+            stintFuel,
+            rules,
+            violations: rules ? this.checkFuelRules(rules, stintFuel, totalFuel) : []
         });
+    }
 
-        return Math.max(0, score);
+    // Tank and refuelling rules of a category (null when the plan has no category)
+    getCategoryRules(category) {
+        return (category && this.categoryRules[category]) || null;
     }
 
-    // Calculate total fuel for strategy
-    calculateTotalStrategyFuel(circuit, stints, fuelPoints) {
-        return stints.reduce((total, stint) => {
-            const stintFuel = this.calculateStintFuel(circuit, fuelPoints, stint.laps, stint.boost);
-            return total + (stintFuel.success ? parseFloat(stintFuel.data.stintFuel) : 0);
-        }, 0);
+    checkFuelRules(rules, stintFuel, totalFuel) {
+        const { tankCapacity } = rules;
+
+        if (!rules.refuelling) {
+            return totalFuel > tankCapacity ? [{
+                stint: 1,
+                rule: 'refuelling',
+                message: `Sin repostaje: la carrera necesita ${Utils.formatNumber(totalFuel, 1)} L y el depósito admite ${tankCapacity} L`
+            }] : [];
+        }
+
+        return stintFuel
+            .map((fuel, index) => ({ fuel, stint: index + 1 }))
+            .filter(({ fuel }) => fuel > tankCapacity)
+            .map(({ fuel, stint }) => ({
+                stint,
+                rule: 'tankCapacity',
+                message: `Stint ${stint}: necesita ${Utils.formatNumber(fuel, 1)} L y el depósito admite ${tankCapacity} L`
+            }));
     }
 
     // Generate strategy description
@@ -409,36 +1398,111 @@ export class Calculations {
         const compounds = stints.map(s => s.compound).join(' → ');
         const laps = stints.map(s => `${s.laps}L`).join(' + ');
         
-        return `${stints.length} paradas: ${compounds} (${laps})`;
+        const pitStops = stints.length - 1;
+        
+        return `${pitStops} ${pitStops === 1 ? 'parada' : 'paradas'}: ${compounds} (${laps})`;
     }
 
-    // Weather impact calculations (future feature)
-    calculateWeatherImpact(baseCalculation, weatherConditions) {
-        // Placeholder for weather impact calculations
-        const { temperature, humidity, rainfall } = weatherConditions;
-        
-        let tempMultiplier = 1;
-        if (temperature > 35) tempMultiplier = 1.15; // Higher tyre wear in hot conditions
-        else if (temperature < 15) tempMultiplier = 0.9; // Less tyre wear in cold
-        
-        let rainMultiplier = 1;
-        if (rainfall > 0) rainMultiplier = 0.7; // Less tyre wear in wet conditions
-        
-        return {
-            ...baseCalculation,
-            weatherAdjusted: true,
-            adjustedRemaining: baseCalculation.remaining * tempMultiplier * rainMultiplier,
-            weatherFactors: {
-                temperature: tempMultiplier,
-                rain: rainMultiplier
+    // What changed between two versions of a strategy: category, points, forecast and, per stint,
+    // compound, laps and boost. Stints are matched by position
+    diffStrategies(from, to) {
+        const changes = [];
+        const compare = (field, label, before, after, stint = null) => {
+            if (before === after) return;
+            changes.push({ field, stint, from: before, to: after, message: `${label}: ${before} → ${after}` });
+        };
+        const describeBoost = stint => this.getBoostPlan(stint)
+            .map(segment => (segment.fromLap > 1 ? `${segment.boost} desde vuelta ${segment.fromLap}` : segment.boost))
+            .join(', ');
+        const describeWeather = weather => ((weather || []).length > 0
+            ? weather.map(entry => `${(this.weatherConditions[entry.condition] || {}).label || entry.condition} desde vuelta ${entry.fromLap}`).join(', ')
+            : 'Seco');
+
+        compare('category', 'Categoría', from.category, to.category);
+        compare('tyrePoints', 'Puntos de neumático', from.tyrePoints, to.tyrePoints);
+        compare('fuelPoints', 'Puntos de combustible', from.fuelPoints, to.fuelPoints);
+        compare('weather', 'Pronóstico', describeWeather(from.weather), describeWeather(to.weather));
+
+        const stintCount = Math.max(from.stints.length, to.stints.length);
+        for (let index = 0; index < stintCount; index++) {
+            const before = from.stints[index];
+            const after = to.stints[index];
+            const stint = index + 1;
+
+            if (!before || !after) {
+                const { compound, laps } = before || after;
+                changes.push({
+                    field: before ? 'removed' : 'added',
+                    stint,
+                    from: before ? `${compound} ${laps}L` : null,
+                    to: after ? `${compound} ${laps}L` : null,
+                    message: `Stint ${stint} ${before ? 'eliminado' : 'añadido'}: ${compound}, ${laps} vueltas`
+                });
+                continue;
             }
+
+            compare('compound', `Stint ${stint} · compuesto`, before.compound, after.compound, stint);
+            compare('laps', `Stint ${stint} · vueltas`, before.laps, after.laps, stint);
+            compare('boost', `Stint ${stint} · empuje`, describeBoost(before), describeBoost(after), stint);
+        }
+
+        return changes;
+    }
+
+    // Track wetness (0-1) on a given lap from a forecast like
+    // [{ fromLap: 1, condition: 'dry' }, { fromLap: 8, condition: 'wet' }, { fromLap: 15, condition: 'dry' }]
+    getWetnessForLap(forecast, lap) {
+        if (!forecast || forecast.length === 0) return 0;
+
+        const segment = [...forecast]
+            .sort((a, b) => a.fromLap - b.fromLap)
+            .filter(entry => entry.fromLap <= lap)
+            .pop();
+
+        const condition = segment && this.weatherConditions[segment.condition];
+        return condition ? condition.wetness : 0;
+    }
+
+    // Safety car factors on a given lap for a period like { type: 'SC', fromLap: 12, laps: 4 }
+    // (null on green-flag laps); the period length defaults to the type's
+    getSafetyCarForLap(safetyCar, lap) {
+        if (!safetyCar || !this.safetyCarTypes[safetyCar.type]) return null;
+
+        const type = this.safetyCarTypes[safetyCar.type];
+        const laps = safetyCar.laps || type.laps;
+        return lap >= safetyCar.fromLap && lap < safetyCar.fromLap + laps ? type : null;
+    }
+
+    // Compound type that should be fitted for a given track wetness
+    getRecommendedCompoundType(wetness) {
+        const match = Object.values(this.compoundsData).find(compound =>
+            wetness >= compound.wetWindow[0] && wetness <= compound.wetWindow[1]
+        );
+        return match ? match.type : 'dry';
+    }
+
+    // Weather impact for a compound on a track with the given wetness: lap-time loss (fraction of
+    // the base lap), wear factor, and whether the compound is outside its crossover window
+    calculateWeatherImpact(compound, wetness = 0) {
+        const compoundData = this.compoundsData[compound.toUpperCase()] || this.compoundsData['M'];
+        const [windowMin, windowMax] = compoundData.wetWindow;
+        const model = this.weatherModel;
+
+        const tooDry = Math.max(0, windowMin - wetness);  // Wet tyres overheat on a drying track
+        const tooWet = Math.max(0, wetness - windowMax);  // Slicks lose grip but run cooler
+
+        return {
+            timeLoss: model.trackTimeLoss * wetness + model.mismatchTimeLoss * (tooDry + tooWet),
+            wearFactor: (1 + model.overheatWear * tooDry) * (1 - model.coolingWear * tooWet),
+            wrongCompound: tooDry > 0 || tooWet > 0,
+            recommendedCompoundType: this.getRecommendedCompoundType(wetness)
         };
     }
 
     // Comparative analysis
-    compareStrategies(strategies, circuit) {
+    compareStrategies(strategies, context) {
         return strategies.map(strategy => {
-            const analysis = this.analyzeStrategy(strategy, circuit);
+            const analysis = this.analyzeStrategy(strategy, context);
             return {
                 ...strategy,
                 analysis,
@@ -448,34 +1512,111 @@ export class Calculations {
         });
     }
 
-    analyzeStrategy(strategy, circuit) {
-        let totalTime = 0;
-        let totalFuel = 0;
-        let riskLevel = 0;
+    analyzeStrategy(strategy, context) {
+        const plan = { ...this.resolvePlanContext(context), stints: strategy.stints };
+        const simulation = this.simulateRace(plan);
+        const { pitLoss } = this.getCircuitRaceData(plan.circuit);
+        const pitStops = strategy.stints.length - 1;
+
+        return {
+            estimatedTime: simulation.success ? simulation.data.totalTime : 0,
+            totalFuel: Utils.formatNumber(simulation.success ? simulation.data.totalFuel : 0, 2),
+            riskLevel: simulation.success ? this.calculateRiskLevel(simulation.data.stints) : 0,
+            pitStops,
+            pitLoss,
+            pitTime: pitStops * pitLoss,
+            score: this.evaluateStrategy(strategy, plan)
+        };
+    }
+
+    // Risk assessment from the tyre left at the end of each simulated stint
+    calculateRiskLevel(stints) {
+        return stints.reduce((riskLevel, stint) => {
+            if (stint.tyreRemaining < 30) return riskLevel + 2;
+            if (stint.tyreRemaining < 50) return riskLevel + 1;
+            return riskLevel;
+        }, 0);
+    }
+
+    // Monte Carlo risk analysis: circuit tyre wear, fuel consumption and pit-stop loss are drawn
+    // uniformly within their bands for every run. Runs are reproducible for a given seed.
+    runMonteCarlo(plan, options = {}) {
+        try {
+            const defaults = config.appConfig.monteCarlo;
+            const {
+                runs = defaults.runs,
+                seed = defaults.seed,
+                fuelMargin = defaults.fuelMargin,
+                lowTyreThreshold = defaults.lowTyreThreshold
+            } = options;
+            const bands = { ...defaults.bands, ...options.bands };
+
+            if (!Number.isInteger(runs) || runs <= 0) {
+                return Utils.handleError(new Error('Número de simulaciones inválido'), 'Monte Carlo');
+            }
+
+            const { pitLoss } = this.getCircuitRaceData(plan.circuit);
+            const random = Utils.createRandom(seed);
+            const vary = (band) => 1 + (random() * 2 - 1) * band;
+
+            const times = [];
+            const lowTyreByStint = plan.stints.map(() => 0);
+            let lowTyreRuns = 0;
+            let fuelOutRuns = 0;
+            let riskTotal = 0;
 
-        strategy.stints.forEach((stint, index) => {
-            const tyreCalc = this.calculateTyreWear(circuit, stint.compound, stint.laps, 100);
-            const fuelCalc = this.calculateStintFuel(circuit, 100, stint.laps, stint.boost);
+            for (let run = 0; run < runs; run++) {
+                const simulation = this.simulateRace(plan, {
+                    tyreWearFactor: vary(bands.tyreWear),
+                    fuelFactor: vary(bands.fuel),
+                    pitStopTime: pitLoss + (random() * 2 - 1) * bands.pitStop,
+                    fuelMargin
+                });
+                if (!simulation.success) return simulation;
 
-            totalTime += stint.laps * 90; // Assume 90s base lap time
-            totalFuel += fuelCalc.success ? parseFloat(fuelCalc.data.stintFuel) : 0;
+                const { stints, totalTime } = simulation.data;
+                times.push(totalTime);
+                riskTotal += this.calculateRiskLevel(stints);
 
-            // Add pit stop time (except for last stint)
-            if (index < strategy.stints.length - 1) {
-                totalTime += 25; // 25 seconds pit stop
+                let lowTyre = false;
+                stints.forEach((stint, index) => {
+                    if (stint.tyreRemaining < lowTyreThreshold) {
+                        lowTyreByStint[index]++;
+                        lowTyre = true;
+                    }
+                });
+                if (lowTyre) lowTyreRuns++;
+                if (stints.some(stint => stint.fuelShortfall > 0)) fuelOutRuns++;
             }
 
-            // Risk assessment
-            if (tyreCalc.remaining < 30) riskLevel += 2;
-            else if (tyreCalc.remaining < 50) riskLevel += 1;
-        });
+            times.sort((a, b) => a - b);
+            const mean = times.reduce((sum, time) => sum + time, 0) / runs;
+            const variance = times.reduce((sum, time) => sum + Math.pow(time - mean, 2), 0) / runs;
+            const percentile = (p) => times[Math.min(runs - 1, Math.floor(p * runs))];
 
-        return {
-            estimatedTime: totalTime,
-            totalFuel: Utils.formatNumber(totalFuel, 2),
-            riskLevel,
-            pitStops: strategy.stints.length - 1
-        };
+            return Utils.handleSuccess({
+                runs,
+                seed,
+                bands,
+                fuelMargin,
+                lowTyreThreshold,
+                lowTyreProbability: lowTyreRuns / runs,
+                lowTyreProbabilityByStint: lowTyreByStint.map(count => count / runs),
+                fuelOutProbability: fuelOutRuns / runs,
+                averageRiskLevel: riskTotal / runs,
+                time: {
+                    mean,
+                    stdDev: Math.sqrt(variance),
+                    min: times[0],
+                    p10: percentile(0.1),
+                    p50: percentile(0.5),
+                    p90: percentile(0.9),
+                    max: times[runs - 1]
+                }
+            });
+        } catch (error) {
+            return Utils.handleError(error, 'Monte Carlo');
+        }
     }
 
     getStrategyPros(analysis) {
@@ -485,6 +1626,7 @@ export class Calculations {
         if (analysis.pitStops === 1) pros.push('Una sola parada - estrategia simple');
         if (analysis.riskLevel === 0) pros.push('Estrategia muy segura');
         if (analysis.riskLevel <= 1) pros.push('Riesgo bajo');
+        if (analysis.pitStops > 0 && analysis.pitLoss <= 20) pros.push(`Boxes rápidos (${analysis.pitLoss} s por parada)`);
         
         return pros;
     }
@@ -492,7 +1634,8 @@ export class Calculations {
     getStrategyCons(analysis) {
         const cons = [];
         
-        if (analysis.pitStops >= 3) cons.push('Múltiples paradas - tiempo perdido');
+        if (analysis.pitStops >= 3) cons.push(`Múltiples paradas - ${analysis.pitTime} s perdidos en boxes`);
+        if (analysis.pitStops >= 2 && analysis.pitLoss >= 25) cons.push(`Boxes lentos (${analysis.pitLoss} s por parada)`);
         if (analysis.riskLevel >= 3) cons.push('Alto riesgo de degradación');
         if (analysis.riskLevel >= 5) cons.push('Estrategia muy arriesgada');
         
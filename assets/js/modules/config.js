@@ -25,9 +25,93 @@ export class Config {
             version: this.getEnvVar('APP_VERSION', '2.0.0'),
             maxChatMessages: 100,
             maxStints: 5,
+            maxStrategyVersions: 50,    // saved versions kept per strategy (oldest dropped first)
             minPasswordLength: 6,
             sessionTimeout: 24 * 60 * 60 * 1000, // 24 hours
             categories: ['F1', 'F2', 'F3', 'F4', 'F5', 'K6'],
+            // Fuel rules per category: tank capacity (L), whether refuelling is allowed at a stop,
+            // and the extra stop time per litre added
+            categoryRules: {
+                'F1': { tankCapacity: 110, refuelling: false, refuelTimePerLitre: 0 },
+                'F2': { tankCapacity: 100, refuelling: true, refuelTimePerLitre: 0.12 },
+                'F3': { tankCapacity: 90, refuelling: true, refuelTimePerLitre: 0.12 },
+                'F4': { tankCapacity: 80, refuelling: true, refuelTimePerLitre: 0.15 },
+                'F5': { tankCapacity: 70, refuelling: true, refuelTimePerLitre: 0.15 },
+                'K6': { tankCapacity: 50, refuelling: true, refuelTimePerLitre: 0.2 }
+            },
+            // League regulations per category as declarative { type, value } rules. A race can
+            // replace its category's set (stored in regulations/{category}/{circuit})
+            regulations: {
+                'F1': [
+                    { type: 'minDryCompounds', value: 2 },
+                    { type: 'minStintLaps', value: 5 },
+                    { type: 'maxStops', value: 3 }
+                ],
+                'F2': [
+                    { type: 'minDryCompounds', value: 2 },
+                    { type: 'minStintLaps', value: 5 },
+                    { type: 'maxStops', value: 3 }
+                ],
+                'F3': [{ type: 'minStintLaps', value: 5 }, { type: 'maxStops', value: 2 }],
+                'F4': [{ type: 'minStintLaps', value: 3 }, { type: 'maxStops', value: 2 }],
+                'F5': [{ type: 'minStintLaps', value: 3 }, { type: 'maxStops', value: 2 }],
+                'K6': [{ type: 'minStintLaps', value: 3 }]
+            },
+            regulationTypes: {
+                minDryCompounds: 'Mínimo de compuestos de seco distintos',
+                mandatoryCompound: 'Compuesto obligatorio',
+                minStintLaps: 'Mínimo de vueltas por stint',
+                maxStintLaps: 'Máximo de vueltas por stint',
+                minStops: 'Mínimo de paradas',
+                maxStops: 'Máximo de paradas'
+            },
+            pointsRange: { min: 1, max: 200 },  // tyre and fuel development points
+            // Fallbacks for circuits without their own baseLapTime / pitLoss / fuelWeightPenalty
+            raceDefaults: {
+                baseLapTime: 90,        // seconds
+                pitStopTime: 25,        // seconds lost in the pit lane
+                fuelWeightPenalty: 0.03 // seconds per litre on board
+            },
+            weatherModel: {
+                trackTimeLoss: 0.12,     // lap time lost on a fully flooded track (fraction of base lap)
+                mismatchTimeLoss: 0.5,   // extra loss per unit of wetness outside the compound's window
+                overheatWear: 4,         // wear increase per unit the track is drier than the window
+                coolingWear: 0.5         // wear reduction per unit the track is wetter than the window
+            },
+            // Tyre condition by % remaining, best first: the first band whose min the tyre reaches.
+            // timeLoss is the fraction of the base lap time lost
+            tyreStates: [
+                { min: 80, status: 'Excelente', color: 'green', impact: '0%', timeLoss: 0 },
+                { min: 60, status: 'Buena', color: 'lime', impact: '-0.5%', timeLoss: 0.005 },
+                { min: 40, status: 'Aceptable', color: 'yellow', impact: '-1.2%', timeLoss: 0.012 },
+                { min: 20, status: 'Degradada', color: 'orange', impact: '-2.5%', timeLoss: 0.025 },
+                { min: 0, status: 'Crítica', color: 'red', impact: '-4.0%', timeLoss: 0.04 }
+            ],
+            // Pit advice by % remaining: the first step the tyre is still above, the last one otherwise
+            pitWindow: [
+                { above: 70, recommendation: 'Continúa', urgency: 'low' },
+                { above: 40, recommendation: 'Considera parar pronto', urgency: 'medium' },
+                { above: 20, recommendation: 'Para en las próximas vueltas', urgency: 'high' },
+                { recommendation: '¡PARA INMEDIATAMENTE!', urgency: 'critical' }
+            ],
+            // Neutralised laps: the field follows the safety car, so laps are slower while stops,
+            // tyre wear and fuel use are reduced (factors over the green-flag values)
+            safetyCar: {
+                'SC': { label: 'Safety car', laps: 4, lapTimeFactor: 1.4, pitLossFactor: 0.5, wearFactor: 0.35, fuelFactor: 0.5 },
+                'VSC': { label: 'Safety car virtual', laps: 2, lapTimeFactor: 1.3, pitLossFactor: 0.65, wearFactor: 0.5, fuelFactor: 0.6 }
+            },
+            safetyCarPlanRows: 8,       // rows of the best-plan-per-lap table (one optimizer run each)
+            monteCarlo: {
+                runs: 500,
+                seed: 2024,
+                fuelMargin: 0.02,       // extra fuel loaded over the calculated need
+                lowTyreThreshold: 20,   // % tyre considered critical at the end of a stint
+                bands: {
+                    tyreWear: 0.10,     // ±10% circuit tyre wear
+                    fuel: 0.03,         // ±3% fuel consumption
+                    pitStop: 3          // ±3 s pit-lane loss
+                }
+            },
             boostLevels: {
                 'muy-alto': { multiplier: 1.04, label: 'Muy Alto (+4%)' },
                 'alto': { multiplier: 1.0161, label: 'Alto (+1.61%)' },
@@ -44,7 +128,8 @@ export class Config {
         return fallback;
     }
 
-    // Circuit data with enhanced information
+    // Circuit data with enhanced information. baseLapTime: dry lap on fresh tyres (s),
+    // pitLoss: time lost driving through the pit lane (s), fuelWeightPenalty: s per litre on board
     getCircuitsData() {
         return {
             'ABU': { 
@@ -52,6 +137,9 @@ export class Config {
                 length: 5.410, 
                 laps: 25, 
                 tyreWear: 50,
+                baseLapTime: 99,
+                pitLoss: 22,
+                fuelWeightPenalty: 0.03,
                 country: 'AE',
                 timezone: 'Asia/Dubai',
                 difficulty: 'Medium'
@@ -61,6 +149,9 @@ export class Config {
                 length: 5.301, 
                 laps: 28, 
                 tyreWear: 40,
+                baseLapTime: 84,
+                pitLoss: 21,
+                fuelWeightPenalty: 0.029,
                 country: 'AU',
                 timezone: 'Australia/Melbourne',
                 difficulty: 'Hard'
@@ -70,6 +161,9 @@ export class Config {
                 length: 4.044, 
                 laps: 34, 
                 tyreWear: 60,
+                baseLapTime: 68,
+                pitLoss: 20,
+                fuelWeightPenalty: 0.022,
                 country: 'AT',
                 timezone: 'Europe/Vienna',
                 difficulty: 'Medium'
@@ -79,6 +173,9 @@ export class Config {
                 length: 6.049, 
                 laps: 23, 
                 tyreWear: 45,
+                baseLapTime: 103,
+                pitLoss: 20,
+                fuelWeightPenalty: 0.033,
                 country: 'AZ',
                 timezone: 'Asia/Baku',
                 difficulty: 'Hard'
@@ -88,6 +185,9 @@ export class Config {
                 length: 4.726, 
                 laps: 29, 
                 tyreWear: 60,
+                baseLapTime: 92,
+                pitLoss: 23,
+                fuelWeightPenalty: 0.026,
                 country: 'BH',
                 timezone: 'Asia/Bahrain',
                 difficulty: 'Medium'
@@ -97,6 +197,9 @@ export class Config {
                 length: 7.041, 
                 laps: 21, 
                 tyreWear: 60,
+                baseLapTime: 107,
+                pitLoss: 20,
+                fuelWeightPenalty: 0.039,
                 country: 'BE',
                 timezone: 'Europe/Brussels',
                 difficulty: 'Hard'
@@ -106,6 +209,9 @@ export class Config {
                 length: 3.971, 
                 laps: 34, 
                 tyreWear: 60,
+                baseLapTime: 72,
+                pitLoss: 22,
+                fuelWeightPenalty: 0.022,
                 country: 'BR',
                 timezone: 'America/Sao_Paulo',
                 difficulty: 'Medium'
@@ -115,6 +221,9 @@ export class Config {
                 length: 4.341, 
                 laps: 31, 
                 tyreWear: 45,
+                baseLapTime: 75,
+                pitLoss: 19,
+                fuelWeightPenalty: 0.024,
                 country: 'CA',
                 timezone: 'America/Montreal',
                 difficulty: 'Medium'
@@ -124,6 +233,9 @@ export class Config {
                 length: 5.442, 
                 laps: 27, 
                 tyreWear: 80,
+                baseLapTime: 96,
+                pitLoss: 22,
+                fuelWeightPenalty: 0.03,
                 country: 'CN',
                 timezone: 'Asia/Shanghai',
                 difficulty: 'Hard'
@@ -133,6 +245,9 @@ export class Config {
                 length: 5.590, 
                 laps: 25, 
                 tyreWear: 45,
+                baseLapTime: 100,
+                pitLoss: 21,
+                fuelWeightPenalty: 0.031,
                 country: 'DE',
                 timezone: 'Europe/Berlin',
                 difficulty: 'Medium'
@@ -142,6 +257,9 @@ export class Config {
                 length: 5.881, 
                 laps: 24, 
                 tyreWear: 80,
+                baseLapTime: 93,
+                pitLoss: 22,
+                fuelWeightPenalty: 0.032,
                 country: 'FR',
                 timezone: 'Europe/Paris',
                 difficulty: 'Hard'
@@ -151,6 +269,9 @@ export class Config {
                 length: 5.751, 
                 laps: 24, 
                 tyreWear: 65,
+                baseLapTime: 89,
+                pitLoss: 21,
+                fuelWeightPenalty: 0.032,
                 country: 'GB',
                 timezone: 'Europe/London',
                 difficulty: 'Hard'
@@ -160,6 +281,9 @@ export class Config {
                 length: 4.179, 
                 laps: 33, 
                 tyreWear: 50,
+                baseLapTime: 75,
+                pitLoss: 18,
+                fuelWeightPenalty: 0.023,
                 country: 'DE',
                 timezone: 'Europe/Berlin',
                 difficulty: 'Medium'
@@ -169,6 +293,9 @@ export class Config {
                 length: 3.498, 
                 laps: 39, 
                 tyreWear: 30,
+                baseLapTime: 79,
+                pitLoss: 20,
+                fuelWeightPenalty: 0.019,
                 country: 'HU',
                 timezone: 'Europe/Budapest',
                 difficulty: 'Easy'
@@ -178,6 +305,9 @@ export class Config {
                 length: 5.401, 
                 laps: 25, 
                 tyreWear: 35,
+                baseLapTime: 82,
+                pitLoss: 24,
+                fuelWeightPenalty: 0.03,
                 country: 'IT',
                 timezone: 'Europe/Rome',
                 difficulty: 'Medium'
@@ -187,6 +317,9 @@ export class Config {
                 length: 5.058, 
                 laps: 27, 
                 tyreWear: 70,
+                baseLapTime: 91,
+                pitLoss: 22,
+                fuelWeightPenalty: 0.028,
                 country: 'JP',
                 timezone: 'Asia/Tokyo',
                 difficulty: 'Hard'
@@ -196,6 +329,9 @@ export class Config {
                 length: 5.536, 
                 laps: 27, 
                 tyreWear: 85,
+                baseLapTime: 97,
+                pitLoss: 21,
+                fuelWeightPenalty: 0.03,
                 country: 'MY',
                 timezone: 'Asia/Kuala_Lumpur',
                 difficulty: 'Hard'
@@ -205,6 +341,9 @@ export class Config {
                 length: 4.308, 
                 laps: 35, 
                 tyreWear: 60,
+                baseLapTime: 79,
+                pitLoss: 22,
+                fuelWeightPenalty: 0.024,
                 country: 'MX',
                 timezone: 'America/Mexico_City',
                 difficulty: 'Medium'
@@ -214,6 +353,9 @@ export class Config {
                 length: 4.015, 
                 laps: 29, 
                 tyreWear: 20,
+                baseLapTime: 74,
+                pitLoss: 19,
+                fuelWeightPenalty: 0.022,
                 country: 'MC',
                 timezone: 'Europe/Monaco',
                 difficulty: 'Very Hard'
@@ -223,6 +365,9 @@ export class Config {
                 length: 6.077, 
                 laps: 23, 
                 tyreWear: 50,
+                baseLapTime: 97,
+                pitLoss: 25,
+                fuelWeightPenalty: 0.033,
                 country: 'RU',
                 timezone: 'Europe/Moscow',
                 difficulty: 'Medium'
@@ -232,6 +377,9 @@ export class Config {
                 length: 5.049, 
                 laps: 30, 
                 tyreWear: 45,
+                baseLapTime: 101,
+                pitLoss: 28,
+                fuelWeightPenalty: 0.028,
                 country: 'SG',
                 timezone: 'Asia/Singapore',
                 difficulty: 'Hard'
@@ -241,6 +389,9 @@ export class Config {
                 length: 4.457, 
                 laps: 31, 
                 tyreWear: 85,
+                baseLapTime: 79,
+                pitLoss: 22,
+                fuelWeightPenalty: 0.025,
                 country: 'ES',
                 timezone: 'Europe/Madrid',
                 difficulty: 'Hard'
@@ -250,6 +401,9 @@ export class Config {
                 length: 5.162, 
                 laps: 27, 
                 tyreWear: 90,
+                baseLapTime: 87,
+                pitLoss: 22,
+                fuelWeightPenalty: 0.028,
                 country: 'TR',
                 timezone: 'Europe/Istanbul',
                 difficulty: 'Very Hard'
@@ -259,6 +413,9 @@ export class Config {
                 length: 4.602, 
                 laps: 30, 
                 tyreWear: 65,
+                baseLapTime: 95,
+                pitLoss: 20,
+                fuelWeightPenalty: 0.025,
                 country: 'US',
                 timezone: 'America/New_York',
                 difficulty: 'Medium'
@@ -266,6 +423,66 @@ export class Config {
         };
     }
 
+    // Tyre compounds. `wetWindow` is the track wetness range (0 = dry, 1 = flooded) in which the
+    // compound is the right choice; its edges are the lap-time crossover points between compounds.
+    getCompoundsData() {
+        return {
+            'SS': { name: 'Superblando', className: 'compound-ss', color: '#dc143c', type: 'dry', wetWindow: [0, 0.3] },
+            'S': { name: 'Blando', className: 'compound-s', color: '#eab308', type: 'dry', wetWindow: [0, 0.3] },
+            'M': { name: 'Medio', className: 'compound-m', color: '#e5e5e5', type: 'dry', wetWindow: [0, 0.3] },
+            'H': { name: 'Duro', className: 'compound-h', color: '#f97316', type: 'dry', wetWindow: [0, 0.3] },
+            'I': { name: 'Intermedio', className: 'compound-i', color: '#22c55e', type: 'intermediate', wetWindow: [0.3, 0.7] },
+            'W': { name: 'Lluvia', className: 'compound-w', color: '#3b82f6', type: 'wet', wetWindow: [0.7, 1] }
+        };
+    }
+
+    // Calibration profile of the wear and fuel formulas. Admins publish new versions through
+    // the database when the game patches its physics; this is the built-in version 1.
+    getDefaultCalibration() {
+        return {
+            version: 1,
+            label: 'Base',
+            tyre: {
+                referencePoints: 1.5,    // Te reference of the points term
+                pointsExponent: -0.0778,
+                pointsFactor: 1.43,
+                wearSlope: 0.00364,      // circuit tyre wear term: slope * Tw + intercept
+                wearIntercept: 0.354,
+                lengthFactor: 1.384612,
+                distanceScale: 200,
+                calibrationDistance: 50, // D0
+                decayFactor: 1.18,       // remaining = 100 * e^(-decayFactor * Wc/100 * N)
+                fuelWearPerLitre: 0.002  // extra wear per litre on board (lap-by-lap simulation)
+            },
+            // Wear multipliers relative to the Medium compound
+            compounds: {
+                'SS': 2.06,
+                'S': 0.642,
+                'M': 1.00,
+                'H': 0.375,
+                'I': 0.85,
+                'W': 0.6
+            },
+            // Per-circuit tyre wear (%) overrides of getCircuitsData, e.g. fitted from telemetry
+            circuitTyreWear: {},
+            fuel: {
+                base: 98.45644,
+                pointsExponent: -0.088463,
+                referenceLength: 139.771
+            }
+        };
+    }
+
+    // Track conditions available in the rain forecast
+    getWeatherConditions() {
+        return {
+            'dry': { label: 'Seco', icon: '☀️', wetness: 0 },
+            'damp': { label: 'Húmedo', icon: '🌦️', wetness: 0.4 },
+            'wet': { label: 'Mojado', icon: '🌧️', wetness: 0.65 },
+            'storm': { label: 'Lluvia intensa', icon: '⛈️', wetness: 0.9 }
+        };
+    }
+
     // Default custom stats
     getDefaultCustomStats() {
         return [
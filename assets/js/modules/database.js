@@ -1,5 +1,6 @@
 // Database Module
 import { Utils } from './utils.js';
+import { StrategySchema } from './schema.js';
 
 export class Database {
     constructor(firebaseConfig) {
@@ -8,6 +9,7 @@ export class Database {
         this.listeners = new Map();
         this.cache = new Map();
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+        this.strategySchema = new StrategySchema();
         this.initPromise = this.initialize(firebaseConfig);
     }
 
@@ -291,6 +293,7 @@ export class Database {
             country: Utils.sanitizeInput(circuitData.country),
             length: Utils.sanitizeInput(circuitData.length),
             laps: parseInt(circuitData.laps) || 0,
+            ...this.sanitizeCircuitRaceData(circuitData),
             warmup: Utils.sanitizeInput(circuitData.warmup || ''),
             playstyle: Utils.sanitizeInput(circuitData.playstyle || ''),
             devPreferences: Utils.sanitizeInput(circuitData.devPreferences || ''),
@@ -303,6 +306,16 @@ export class Database {
         return await this.executeOperation('set', `circuits/${sanitizedData.id}`, sanitizedData);
     }
 
+    // Optional race data: absent or invalid values are left out so the race defaults apply
+    sanitizeCircuitRaceData(circuitData) {
+        const raceData = {};
+        [['baseLapTime', 0], ['pitLoss', 0], ['fuelWeightPenalty', -1]].forEach(([field, above]) => {
+            const value = parseFloat(circuitData[field]);
+            if (Number.isFinite(value) && value > above) raceData[field] = value;
+        });
+        return raceData;
+    }
+
     async deleteCircuit(circuitId) {
         return await this.executeOperation('remove', `circuits/${circuitId}`);
     }
@@ -339,28 +352,201 @@ export class Database {
         return await this.executeOperation('remove', `customStats/${statId}`);
     }
 
-    // Strategy management
-    async getStrategy(username) {
+    // Strategy management: named strategies per user, indexed by circuit
+    // strategies/{username} = { circuits: { [circuit]: { [id]: strategy } }, lastUsed: { [circuit]: id }, lastCircuit }
+    async getStrategies(username) {
         const sanitizedUsername = Utils.sanitizeInput(username);
         const result = await this.executeOperation('get', `strategies/${sanitizedUsername}`);
-        return result.success ? result.data : null;
+        let data = result.success ? result.data : null;
+
+        // Single-slot strategy saved before named strategies existed
+        if (data && data.stints) {
+            data = await this.migrateLegacyStrategy(sanitizedUsername, data);
+        }
+
+        const strategies = Object.values((data && data.circuits) || {})
+            .flatMap(circuitStrategies => Object.values(circuitStrategies));
+
+        return {
+            strategies,
+            lastUsed: (data && data.lastUsed) || {},
+            lastCircuit: (data && data.lastCircuit) || null
+        };
     }
 
-    async saveStrategy(username, strategyData) {
-        const sanitizedUsername = Utils.sanitizeInput(username);
-        const sanitizedStrategy = {
+    async migrateLegacyStrategy(sanitizedUsername, legacyStrategy) {
+        const strategy = this.sanitizeStrategy({ weather: [], ...legacyStrategy, name: 'Mi estrategia' });
+        const data = {
+            circuits: { [strategy.circuit]: { [strategy.id]: strategy } },
+            lastUsed: { [strategy.circuit]: strategy.id },
+            lastCircuit: strategy.circuit
+        };
+
+        await this.executeOperation('set', `strategies/${sanitizedUsername}`, data);
+        return data;
+    }
+
+    sanitizeStrategy(strategyData) {
+        return {
+            id: Utils.sanitizeInput(strategyData.id || Utils.generateId()),
+            // Markup characters are dropped rather than escaped so re-saving a name never double-escapes it
+            name: String(strategyData.name || '').replace(/[<>"'&/\\]/g, '').trim().slice(0, 40) || 'Estrategia',
+            favourite: !!strategyData.favourite,
             circuit: Utils.sanitizeInput(strategyData.circuit),
+            category: Utils.sanitizeInput(strategyData.category || 'F1'),
             tyrePoints: parseInt(strategyData.tyrePoints) || 100,
             fuelPoints: parseInt(strategyData.fuelPoints) || 100,
             stints: strategyData.stints.map(stint => ({
                 compound: Utils.sanitizeInput(stint.compound),
                 laps: parseInt(stint.laps) || 1,
-                boost: Utils.sanitizeInput(stint.boost)
+                boost: Utils.sanitizeInput(stint.boost),
+                // Boost changes after lap 1 (single-boost stints have none)
+                ...(stint.boostPlan && stint.boostPlan.length > 0 ? {
+                    boostPlan: stint.boostPlan.map(change => ({
+                        fromLap: parseInt(change.fromLap) || 2,
+                        boost: Utils.sanitizeInput(change.boost)
+                    }))
+                } : {})
+            })),
+            weather: (strategyData.weather || []).map(entry => ({
+                fromLap: parseInt(entry.fromLap) || 1,
+                condition: Utils.sanitizeInput(entry.condition)
             })),
+            calibrationVersion: parseInt(strategyData.calibrationVersion) || 1,
+            createdAt: parseInt(strategyData.createdAt) || Date.now(),
+            updatedAt: Date.now()
+        };
+    }
+
+    async saveStrategy(username, strategyData) {
+        const errors = this.strategySchema.validate(strategyData);
+        if (errors.length > 0) {
+            return Utils.handleError(new Error(errors.map(error => error.message).join('; ')), 'Strategy validation');
+        }
+
+        const sanitizedUsername = Utils.sanitizeInput(username);
+        const sanitizedStrategy = this.sanitizeStrategy(strategyData);
+
+        return await this.executeOperation('set', `strategies/${sanitizedUsername}/circuits/${sanitizedStrategy.circuit}/${sanitizedStrategy.id}`, sanitizedStrategy);
+    }
+
+    async deleteStrategy(username, circuit, strategyId) {
+        const sanitizedUsername = Utils.sanitizeInput(username);
+        return await this.executeOperation('remove', `strategies/${sanitizedUsername}/circuits/${Utils.sanitizeInput(circuit)}/${Utils.sanitizeInput(strategyId)}`);
+    }
+
+    // Strategy that opens next time the user picks the circuit (and the circuit that opens on login)
+    async setLastUsedStrategy(username, circuit, strategyId) {
+        const sanitizedUsername = Utils.sanitizeInput(username);
+        const sanitizedCircuit = Utils.sanitizeInput(circuit);
+        const result = await this.executeOperation('set', `strategies/${sanitizedUsername}/lastUsed/${sanitizedCircuit}`, Utils.sanitizeInput(strategyId));
+        if (!result.success) return result;
+
+        return await this.executeOperation('set', `strategies/${sanitizedUsername}/lastCircuit`, sanitizedCircuit);
+    }
+
+    // Strategy version history: strategyHistory/{username}/{strategyId}/{versionId}, one plan snapshot per save
+    async getStrategyHistory(username, strategyId) {
+        const sanitizedUsername = Utils.sanitizeInput(username);
+        const result = await this.executeOperation('get', `strategyHistory/${sanitizedUsername}/${Utils.sanitizeInput(strategyId)}`);
+        const versions = result.success ? (result.data || {}) : {};
+        return Object.values(versions).sort((a, b) => a.version - b.version);
+    }
+
+    async saveStrategyVersion(username, strategyId, versionData) {
+        const sanitizedUsername = Utils.sanitizeInput(username);
+        const { category, tyrePoints, fuelPoints, stints, weather, calibrationVersion } = this.sanitizeStrategy(versionData);
+        const sanitizedVersion = {
+            id: versionData.id || Utils.generateId(),
+            version: parseInt(versionData.version) || 1,
+            category,
+            tyrePoints,
+            fuelPoints,
+            stints,
+            weather,
+            calibrationVersion,
+            savedAt: Date.now()
+        };
+
+        return await this.executeOperation('set', `strategyHistory/${sanitizedUsername}/${Utils.sanitizeInput(strategyId)}/${sanitizedVersion.id}`, sanitizedVersion);
+    }
+
+    async deleteStrategyVersion(username, strategyId, versionId) {
+        const sanitizedUsername = Utils.sanitizeInput(username);
+        return await this.executeOperation('remove', `strategyHistory/${sanitizedUsername}/${Utils.sanitizeInput(strategyId)}/${Utils.sanitizeInput(versionId)}`);
+    }
+
+    async deleteStrategyHistory(username, strategyId) {
+        const sanitizedUsername = Utils.sanitizeInput(username);
+        return await this.executeOperation('remove', `strategyHistory/${sanitizedUsername}/${Utils.sanitizeInput(strategyId)}`);
+    }
+
+    // Telemetry (observed tyre % after a stint)
+    async createTelemetry(recordData) {
+        const sanitizedData = {
+            id: recordData.id || Utils.generateId(),
+            circuit: Utils.sanitizeInput(recordData.circuit),
+            compound: Utils.sanitizeInput(recordData.compound),
+            laps: parseInt(recordData.laps) || 1,
+            tyrePoints: parseInt(recordData.tyrePoints) || 100,
+            observedRemaining: parseFloat(recordData.observedRemaining) || 0,
+            user: Utils.sanitizeInput(recordData.user),
+            createdAt: Date.now()
+        };
+
+        return await this.executeOperation('set', `telemetry/${sanitizedData.id}`, sanitizedData);
+    }
+
+    async deleteTelemetry(recordId) {
+        return await this.executeOperation('remove', `telemetry/${recordId}`);
+    }
+
+    // Calibration profiles (formula constants, versioned)
+    async saveCalibrationProfile(profileData) {
+        const toNumbers = (values = {}) => Object.fromEntries(
+            Object.entries(values)
+                .map(([key, value]) => [Utils.sanitizeInput(key), parseFloat(value)])
+                .filter(([, value]) => Number.isFinite(value))
+        );
+
+        const sanitizedData = {
+            version: parseInt(profileData.version) || 1,
+            label: Utils.sanitizeInput(profileData.label || ''),
+            tyre: toNumbers(profileData.tyre),
+            compounds: toNumbers(profileData.compounds),
+            circuitTyreWear: toNumbers(profileData.circuitTyreWear),
+            fuel: toNumbers(profileData.fuel),
+            createdBy: Utils.sanitizeInput(profileData.createdBy || ''),
+            createdAt: profileData.createdAt || Date.now()
+        };
+
+        return await this.executeOperation('set', `calibration/profiles/${sanitizedData.version}`, sanitizedData);
+    }
+
+    async setActiveCalibration(version) {
+        return await this.executeOperation('set', 'calibration/active', parseInt(version) || 1);
+    }
+
+    // Race regulations (replace the category's rules for one circuit)
+    async saveRaceRegulations(category, circuit, regulationData) {
+        const sanitizedData = {
+            // Compound rules hold a compound code, the rest a number
+            rules: (regulationData.rules || [])
+                .map(rule => ({
+                    type: Utils.sanitizeInput(rule.type),
+                    value: typeof rule.value === 'string' ? Utils.sanitizeInput(rule.value) : parseInt(rule.value)
+                }))
+                .filter(rule => rule.value !== '' && !Number.isNaN(rule.value)),
+            updatedBy: Utils.sanitizeInput(regulationData.updatedBy || ''),
             updatedAt: Date.now()
         };
 
-        return await this.executeOperation('set', `strategies/${sanitizedUsername}`, sanitizedStrategy);
+        const path = `regulations/${Utils.sanitizeInput(category)}/${Utils.sanitizeInput(circuit)}`;
+        return await this.executeOperation('set', path, sanitizedData);
+    }
+
+    async deleteRaceRegulations(category, circuit) {
+        return await this.executeOperation('remove', `regulations/${Utils.sanitizeInput(category)}/${Utils.sanitizeInput(circuit)}`);
     }
 
     // Batch operations
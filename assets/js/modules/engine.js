@@ -0,0 +1,146 @@
+// Strategy Engine Module
+// Headless entry point to the strategy formulas (no DOM or Firebase): the API the package
+// exports for Node scripts, the CLI and tests. Plans use the same shape the planner saves:
+// { circuit, category, tyrePoints, fuelPoints, stints: [{ compound, laps, boost, boostPlan }], weather }
+import { Calculations } from './calculations.js';
+import { config } from './config.js';
+import { StrategySchema } from './schema.js';
+import { Utils } from './utils.js';
+
+export class StrategyEngine {
+    constructor(options = {}) {
+        this.calculations = new Calculations();
+        this.schema = new StrategySchema();
+
+        // Optional calibration profile and race regulations, as stored in the database
+        if (options.calibration) this.calculations.setCalibration(options.calibration);
+        if (options.raceRegulations) this.calculations.setRaceRegulations(options.raceRegulations);
+    }
+
+    // Reference data
+    getCircuits() {
+        return this.calculations.circuitsData;
+    }
+
+    getCompounds() {
+        return config.getCompoundsData();
+    }
+
+    getBoostLevels() {
+        return config.appConfig.boostLevels;
+    }
+
+    getCategories() {
+        return config.appConfig.categories;
+    }
+
+    // Fill the optional fields of a plan the same way the planner does
+    normalizePlan(plan) {
+        return {
+            ...plan,
+            category: plan.category || 'F1',
+            tyrePoints: plan.tyrePoints ?? 100,
+            fuelPoints: plan.fuelPoints ?? 100,
+            weather: plan.weather || []
+        };
+    }
+
+    // List what makes a plan impossible to evaluate (empty when it is usable): the same
+    // schema the planner saves with
+    validatePlan(plan) {
+        return this.schema.validate(plan).map(error => error.message);
+    }
+
+    // Tyre wear of a single stint ({ circuit, compound, laps, tyrePoints })
+    tyre({ circuit, compound, laps, tyrePoints = 100 }) {
+        return this.calculations.calculateTyreWear(circuit, compound, laps, tyrePoints);
+    }
+
+    // Fuel of a single stint ({ circuit, fuelPoints, laps, boost, boostPlan })
+    fuel(stint) {
+        const { circuit, fuelPoints = 100, laps } = stint;
+        return this.calculations.calculateStintFuel(circuit, fuelPoints, laps, this.calculations.getBoostPlan(stint));
+    }
+
+    // Lap-by-lap race simulation
+    simulate(plan, options = {}) {
+        return this.calculations.simulateRace(this.normalizePlan(plan), options);
+    }
+
+    // Stint analysis: simulated tyre, fuel and time per stint, plus fuel and regulation violations
+    analyze(plan) {
+        const errors = this.validatePlan(plan);
+        if (errors.length > 0) {
+            return Utils.handleError(new Error(errors.join('; ')), 'Strategy analysis');
+        }
+
+        const normalized = this.normalizePlan(plan);
+        const { circuit, category, fuelPoints, stints } = normalized;
+        const simulation = this.calculations.simulateRace(normalized);
+        if (!simulation.success) return simulation;
+
+        const fuelCheck = this.calculations.calculateTotalStrategyFuel(circuit, stints, fuelPoints, category).data;
+        const regulations = this.calculations.getRegulations(category, circuit);
+        const violations = [
+            ...fuelCheck.violations,
+            ...this.calculations.checkRegulations(stints, regulations)
+        ];
+        const analysis = this.calculations.analyzeStrategy({ stints }, normalized);
+        const circuitData = this.getCircuits()[circuit];
+
+        return Utils.handleSuccess({
+            circuit: { code: circuit, name: circuitData.name, laps: circuitData.laps },
+            category,
+            tyrePoints: normalized.tyrePoints,
+            fuelPoints,
+            description: this.calculations.generateStrategyDescription(stints),
+            totalLaps: simulation.data.totalLaps,
+            totalTime: simulation.data.totalTime,
+            totalFuel: simulation.data.totalFuel,
+            pitStops: simulation.data.pitStops,
+            score: analysis.score,
+            riskLevel: analysis.riskLevel,
+            stints: simulation.data.stints.map((stintSim, index) => {
+                const performance = this.calculations.calculatePerformanceImpact(stintSim.tyreRemaining);
+                return {
+                    stint: stintSim.stint,
+                    compound: stintSim.compound,
+                    laps: stints[index].laps,
+                    boost: this.calculations.getBoostPlan(stints[index]),
+                    startLap: stintSim.startLap,
+                    endLap: stintSim.endLap,
+                    tyreRemaining: stintSim.tyreRemaining,
+                    status: performance.status,
+                    pitWindow: this.calculations.calculatePitWindow(stintSim.tyreRemaining, 100 - stintSim.tyreRemaining),
+                    fuelLoad: stintSim.fuelLoad,
+                    fuelShortfall: stintSim.fuelShortfall,
+                    time: stintSim.time,
+                    violations: violations.filter(violation => violation.stint === index + 1)
+                };
+            }),
+            violations
+        });
+    }
+
+    // Optimizer over the plan's circuit, points, forecast and category (stints are ignored)
+    optimize(plan, constraints = {}) {
+        const normalized = this.normalizePlan(plan);
+        const circuitData = this.getCircuits()[normalized.circuit];
+        if (!circuitData) {
+            return Utils.handleError(new Error('Circuito no encontrado'), 'Strategy optimization');
+        }
+
+        return this.calculations.optimizeStrategy(
+            normalized.circuit,
+            circuitData.laps,
+            normalized.tyrePoints,
+            normalized.fuelPoints,
+            { weather: normalized.weather, category: normalized.category, ...constraints }
+        );
+    }
+
+    // Side-by-side analysis with pros and cons of several stint lists in the plan's context
+    compare(plan, strategies) {
+        return this.calculations.compareStrategies(strategies, this.normalizePlan(plan));
+    }
+}
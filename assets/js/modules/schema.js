@@ -0,0 +1,112 @@
+// Strategy Schema Module
+// The single definition of a valid strategy, checked before saving to the database, when a
+// strategy file is imported and by the headless engine. Errors are reported per field
+import { config } from './config.js';
+
+export class StrategySchema {
+    constructor() {
+        this.circuitsData = config.getCircuitsData();
+        this.compoundsData = config.getCompoundsData();
+        this.boostLevels = config.appConfig.boostLevels;
+        this.weatherConditions = config.getWeatherConditions();
+        this.categories = config.appConfig.categories;
+        this.pointsRange = config.appConfig.pointsRange;
+        this.maxStints = config.appConfig.maxStints;
+        this.maxNameLength = 40;
+    }
+
+    // [{ field, message }] for every invalid field, empty when the strategy is valid. Only circuit
+    // and stints are required; other fields are checked when present
+    validate(strategy) {
+        if (!strategy || typeof strategy !== 'object' || Array.isArray(strategy)) {
+            return [{ field: '', message: 'La estrategia no es un objeto' }];
+        }
+
+        const errors = [];
+        const addError = (field, message) => errors.push({ field, message });
+        const isInteger = (value, min, max = Infinity) => Number.isInteger(value) && value >= min && value <= max;
+        const { min, max } = this.pointsRange;
+
+        if (!this.circuitsData[strategy.circuit]) {
+            addError('circuit', `Circuito desconocido: ${strategy.circuit}`);
+        }
+        if (strategy.category !== undefined && !this.categories.includes(strategy.category)) {
+            addError('category', `Categoría desconocida: ${strategy.category}`);
+        }
+        if (strategy.name !== undefined && (typeof strategy.name !== 'string' || strategy.name.length > this.maxNameLength)) {
+            addError('name', `El nombre debe ser un texto de hasta ${this.maxNameLength} caracteres`);
+        }
+        if (strategy.favourite !== undefined && typeof strategy.favourite !== 'boolean') {
+            addError('favourite', 'favourite debe ser true o false');
+        }
+
+        [['tyrePoints', 'neumático'], ['fuelPoints', 'combustible']].forEach(([field, label]) => {
+            if (strategy[field] !== undefined && !isInteger(strategy[field], min, max)) {
+                addError(field, `Los puntos de ${label} deben ser un entero entre ${min} y ${max}`);
+            }
+        });
+
+        if (!Array.isArray(strategy.stints) || strategy.stints.length === 0) {
+            addError('stints', 'La estrategia no tiene stints');
+        } else {
+            if (strategy.stints.length > this.maxStints) {
+                addError('stints', `Como máximo ${this.maxStints} stints`);
+            }
+            strategy.stints.forEach((stint, index) => this.validateStint(stint, index, addError, isInteger));
+        }
+
+        if (strategy.weather !== undefined) {
+            if (!Array.isArray(strategy.weather)) {
+                addError('weather', 'El pronóstico debe ser una lista');
+            } else {
+                strategy.weather.forEach((entry, index) => {
+                    const field = `weather[${index}]`;
+                    if (!entry || !isInteger(entry.fromLap, 1)) {
+                        addError(`${field}.fromLap`, `Pronóstico ${index + 1}: la vuelta debe ser un entero mayor que 0`);
+                    }
+                    if (!entry || !this.weatherConditions[entry.condition]) {
+                        addError(`${field}.condition`, `Pronóstico ${index + 1}: condición desconocida ${entry && entry.condition}`);
+                    }
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    validateStint(stint, index, addError, isInteger) {
+        const field = `stints[${index}]`;
+        const label = `Stint ${index + 1}`;
+
+        if (!stint || typeof stint !== 'object') {
+            addError(field, `${label}: no es un objeto`);
+            return;
+        }
+
+        if (!this.compoundsData[stint.compound]) {
+            addError(`${field}.compound`, `${label}: compuesto desconocido ${stint.compound}`);
+        }
+        if (!isInteger(stint.laps, 1)) {
+            addError(`${field}.laps`, `${label}: las vueltas deben ser un entero mayor que 0`);
+        }
+        if (!this.boostLevels[stint.boost]) {
+            addError(`${field}.boost`, `${label}: empuje desconocido ${stint.boost}`);
+        }
+
+        if (stint.boostPlan === undefined) return;
+        if (!Array.isArray(stint.boostPlan)) {
+            addError(`${field}.boostPlan`, `${label}: los cambios de empuje deben ser una lista`);
+            return;
+        }
+
+        stint.boostPlan.forEach((change, changeIndex) => {
+            const changeField = `${field}.boostPlan[${changeIndex}]`;
+            if (!change || !isInteger(change.fromLap, 2)) {
+                addError(`${changeField}.fromLap`, `${label}: el cambio de empuje ${changeIndex + 1} debe empezar en la vuelta 2 o más tarde`);
+            }
+            if (!change || !this.boostLevels[change.boost]) {
+                addError(`${changeField}.boost`, `${label}: empuje desconocido ${change && change.boost}`);
+            }
+        });
+    }
+}
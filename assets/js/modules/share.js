@@ -0,0 +1,209 @@
+// Strategy Share Module
+// Strategies outside the app: JSON / CSV files with their stint analysis, and a compact,
+// versioned encoding for share links (?s=...), e.g.
+// "1~FRA~F1~49~100~S12x_b4.H12n~w8.d15": format version, circuit, category, tyre and fuel points,
+// stints (compound, laps, boost code, then "_" + boost code + lap for each boost change) and the
+// optional forecast (condition code + lap it starts)
+import { Utils } from './utils.js';
+import { config } from './config.js';
+import { StrategySchema } from './schema.js';
+
+export class StrategyShare {
+    constructor() {
+        this.formatVersion = 1;
+        this.parameter = 's';
+        this.fileFormat = 'ferrari-strategy';
+        this.fileFormatVersion = 1;
+        this.schema = new StrategySchema();
+        this.circuitsData = config.getCircuitsData();
+        this.compoundsData = config.getCompoundsData();
+        this.categories = config.appConfig.categories;
+        this.pointsRange = config.appConfig.pointsRange;
+        // One letter per boost level and weather condition (lower case, so they never clash with compounds)
+        this.boostCodes = { 'muy-alto': 'x', 'alto': 'a', 'neutral': 'n', 'bajo': 'b', 'muy-bajo': 'y' };
+        this.weatherCodes = { 'dry': 'd', 'damp': 'h', 'wet': 'w', 'storm': 's' };
+    }
+
+    encode(strategy) {
+        const stints = strategy.stints.map(stint => {
+            const changes = (stint.boostPlan || [])
+                .filter(change => change.fromLap > 1)
+                .map(change => `_${this.boostCodes[change.boost] || 'n'}${change.fromLap}`)
+                .join('');
+            return `${stint.compound}${stint.laps}${this.boostCodes[stint.boost] || 'n'}${changes}`;
+        });
+        const weather = (strategy.weather || []).map(entry => `${this.weatherCodes[entry.condition]}${entry.fromLap}`);
+
+        return [
+            this.formatVersion,
+            strategy.circuit,
+            strategy.category || 'F1',
+            strategy.tyrePoints,
+            strategy.fuelPoints,
+            stints.join('.'),
+            ...(weather.length > 0 ? [weather.join('.')] : [])
+        ].join('~');
+    }
+
+    decode(code) {
+        try {
+            const [version, circuit, category, tyrePoints, fuelPoints, stints, weather] = String(code || '').split('~');
+            if (parseInt(version) !== this.formatVersion) {
+                throw new Error(`Versión de enlace no soportada: ${version}`);
+            }
+            if (!this.circuitsData[circuit]) throw new Error(`Circuito desconocido: ${circuit}`);
+            if (!this.categories.includes(category)) throw new Error(`Categoría desconocida: ${category}`);
+
+            const plan = {
+                circuit,
+                category,
+                tyrePoints: this.decodePoints(tyrePoints, 'neumático'),
+                fuelPoints: this.decodePoints(fuelPoints, 'combustible'),
+                stints: (stints || '').split('.').map((stint, index) => this.decodeStint(stint, index + 1)),
+                weather: weather ? weather.split('.').map(entry => this.decodeWeather(entry)) : []
+            };
+
+            // The same rules as imported files and saves (e.g. boost changes from lap 2, forecast from lap 1)
+            const errors = this.schema.validate(plan);
+            if (errors.length > 0) {
+                const message = `El enlace no es una estrategia válida: ${errors.map(error => error.message).join('; ')}`;
+                return { ...Utils.handleError(new Error(message), 'Strategy link'), errors };
+            }
+
+            return Utils.handleSuccess(plan, 'Estrategia compartida leída');
+        } catch (error) {
+            return Utils.handleError(error, 'Strategy link');
+        }
+    }
+
+    decodePoints(value, label) {
+        const points = Number(value);
+        if (!Number.isInteger(points) || points < this.pointsRange.min || points > this.pointsRange.max) {
+            throw new Error(`Puntos de ${label} no válidos: ${value}`);
+        }
+        return points;
+    }
+
+    decodeStint(code, number) {
+        const match = /^([A-Z]+)(\d+)([a-z])((?:_[a-z]\d+)*)$/.exec(code);
+        const compound = match && match[1];
+        const laps = match ? parseInt(match[2]) : 0;
+        if (!match || !this.compoundsData[compound] || laps <= 0) {
+            throw new Error(`Stint ${number} no válido: ${code}`);
+        }
+
+        const stint = { compound, laps, boost: this.decodeBoost(match[3], number) };
+        const changes = match[4].split('_').filter(Boolean).map(change => ({
+            fromLap: parseInt(change.slice(1)),
+            boost: this.decodeBoost(change[0], number)
+        }));
+        if (changes.length > 0) stint.boostPlan = changes;
+
+        return stint;
+    }
+
+    decodeBoost(code, number) {
+        const boost = Object.keys(this.boostCodes).find(key => this.boostCodes[key] === code);
+        if (!boost) throw new Error(`Stint ${number}: empuje desconocido ${code}`);
+        return boost;
+    }
+
+    decodeWeather(code) {
+        const match = /^([a-z])(\d+)$/.exec(code);
+        const condition = match && Object.keys(this.weatherCodes).find(key => this.weatherCodes[key] === match[1]);
+        if (!condition) throw new Error(`Pronóstico no válido: ${code}`);
+        return { fromLap: parseInt(match[2]), condition };
+    }
+
+    // Current page URL with only the strategy parameter. The code only uses URL-safe characters,
+    // so it is appended as is (URLSearchParams would escape every "~")
+    getLink(strategy) {
+        const { origin, pathname } = window.location;
+        return `${origin}${pathname}?${this.parameter}=${this.encode(strategy)}`;
+    }
+
+    // Fields of a strategy that travel in files (no ids, timestamps or favourite flag)
+    getPortablePlan(strategy) {
+        const { name, circuit, category, tyrePoints, fuelPoints, stints, weather } = strategy;
+        return {
+            ...(name !== undefined ? { name } : {}),
+            circuit,
+            category: category || 'F1',
+            tyrePoints,
+            fuelPoints,
+            stints: Utils.deepClone(stints),
+            weather: Utils.deepClone(weather || [])
+        };
+    }
+
+    // JSON export: the strategy plus the engine's per-stint analysis (StrategyEngine.analyze)
+    toJSON(strategy, analysis) {
+        return JSON.stringify({
+            format: this.fileFormat,
+            formatVersion: this.fileFormatVersion,
+            exportedAt: new Date().toISOString(),
+            calibrationVersion: strategy.calibrationVersion || 1,
+            strategy: this.getPortablePlan(strategy),
+            analysis
+        }, null, 2);
+    }
+
+    // CSV export: one row per stint of the analysis
+    toCSV(analysis) {
+        const header = [
+            'stint', 'compuesto', 'vueltas', 'vuelta_inicio', 'vuelta_fin', 'empuje',
+            'neumatico_restante_pct', 'estado', 'ventana_parada', 'combustible_l',
+            'falta_combustible_l', 'tiempo_s', 'infracciones'
+        ];
+        const rows = analysis.stints.map(stint => [
+            stint.stint,
+            stint.compound,
+            stint.laps,
+            stint.startLap,
+            stint.endLap,
+            stint.boost.map(segment => (segment.fromLap > 1 ? `${segment.boost}@${segment.fromLap}` : segment.boost)).join(' '),
+            stint.tyreRemaining.toFixed(1),
+            stint.status,
+            stint.pitWindow.recommendation,
+            stint.fuelLoad.toFixed(2),
+            (stint.fuelShortfall || 0).toFixed(2),
+            stint.time.toFixed(1),
+            stint.violations.map(violation => violation.message).join(' | ')
+        ]);
+
+        return [header, ...rows].map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\r\n');
+    }
+
+    escapeCSV(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Strategy from an imported JSON file: an export of this app or a bare plan (as the CLI reads).
+    // Invalid files fail with `errors`, the schema's per-field list
+    parseFile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return Utils.handleError(new Error('El archivo no es JSON válido'), 'Strategy import');
+        }
+
+        if (data && data.format !== undefined) {
+            if (data.format !== this.fileFormat) {
+                return Utils.handleError(new Error(`Formato desconocido: ${data.format}`), 'Strategy import');
+            }
+            if (data.formatVersion > this.fileFormatVersion) {
+                return Utils.handleError(new Error(`Versión de formato no soportada: ${data.formatVersion}`), 'Strategy import');
+            }
+        }
+
+        const strategy = data && data.format !== undefined ? data.strategy : data;
+        const errors = this.schema.validate(strategy);
+        if (errors.length > 0) {
+            return { ...Utils.handleError(new Error('El archivo no es una estrategia válida'), 'Strategy import'), errors };
+        }
+
+        return Utils.handleSuccess(this.getPortablePlan(strategy), 'Estrategia importada');
+    }
+}
@@ -587,6 +587,88 @@ export class UI {
         // This would be expanded based on requirements
     }
 
+    // Inline SVG line chart. series: [{ label, color, dash, points: [[x, y], ...] }]
+    // markers: vertical guides [{ x, label }]
+    createLineChart(series, options = {}) {
+        const {
+            width = 480,
+            height = 220,
+            title = '',
+            xLabel = '',
+            yLabel = '',
+            markers = [],
+            bands = [],
+            thresholds = [],
+            ticks = 5
+        } = options;
+
+        const allPoints = series.flatMap(s => s.points);
+        if (allPoints.length === 0) return '';
+
+        const [xMin, xMax] = options.xDomain || [Math.min(...allPoints.map(p => p[0])), Math.max(...allPoints.map(p => p[0]))];
+        const [yMin, yMax] = options.yDomain || [Math.min(0, ...allPoints.map(p => p[1])), Math.max(...allPoints.map(p => p[1]))];
+
+        const pad = { top: 12, right: 12, bottom: 36, left: 48 };
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+        const scaleX = x => pad.left + ((x - xMin) / ((xMax - xMin) || 1)) * plotWidth;
+        const scaleY = y => pad.top + plotHeight - ((y - yMin) / ((yMax - yMin) || 1)) * plotHeight;
+        const tickValues = (min, max) => Array.from({ length: ticks + 1 }, (_, i) => min + ((max - min) * i) / ticks);
+        const formatTick = value => Number.isInteger(value) ? value : Utils.formatNumber(value, 1);
+
+        const grid = tickValues(yMin, yMax).map(y => `
+            <line class="chart-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${scaleY(y)}" y2="${scaleY(y)}" />
+            <text class="chart-tick" x="${pad.left - 6}" y="${scaleY(y) + 4}" text-anchor="end">${formatTick(y)}</text>
+        `).join('') + tickValues(xMin, xMax).map(x => `
+            <text class="chart-tick" x="${scaleX(x)}" y="${height - pad.bottom + 16}" text-anchor="middle">${formatTick(x)}</text>
+        `).join('');
+
+        const paths = series.map(s => `
+            <path class="chart-line" d="${s.points.map((p, i) => `${i === 0 ? 'M' : 'L'}${scaleX(p[0]).toFixed(1)} ${scaleY(p[1]).toFixed(1)}`).join(' ')}"
+                  stroke="${s.color}" ${s.dash ? `stroke-dasharray="${s.dash}"` : ''} />
+        `).join('');
+
+        // Shaded y ranges ({ from, to, color, label }) and horizontal guides ({ y, label })
+        const clampY = y => Math.min(yMax, Math.max(yMin, y));
+        const areas = bands.map(band => `
+            <rect class="chart-band" x="${pad.left}" width="${plotWidth}"
+                  y="${scaleY(clampY(band.to))}" height="${Math.max(0, scaleY(clampY(band.from)) - scaleY(clampY(band.to)))}"
+                  fill="${band.color}"><title>${Utils.sanitizeInput(band.label || '')}</title></rect>
+        `).join('');
+
+        const levels = thresholds.map(threshold => `
+            <line class="chart-threshold" x1="${pad.left}" x2="${width - pad.right}" y1="${scaleY(threshold.y)}" y2="${scaleY(threshold.y)}" />
+            <text class="chart-tick" x="${width - pad.right - 4}" y="${scaleY(threshold.y) - 3}" text-anchor="end">${Utils.sanitizeInput(threshold.label || '')}</text>
+        `).join('');
+
+        const guides = markers.map(marker => `
+            <line class="chart-marker" x1="${scaleX(marker.x)}" x2="${scaleX(marker.x)}" y1="${pad.top}" y2="${pad.top + plotHeight}" />
+            <text class="chart-tick" x="${scaleX(marker.x) + 4}" y="${pad.top + 10}">${Utils.sanitizeInput(marker.label || '')}</text>
+        `).join('');
+
+        return `
+            <figure class="chart">
+                <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${Utils.sanitizeInput(title)}">
+                    ${areas}
+                    ${grid}
+                    ${levels}
+                    <line class="chart-axis" x1="${pad.left}" x2="${pad.left}" y1="${pad.top}" y2="${pad.top + plotHeight}" />
+                    <line class="chart-axis" x1="${pad.left}" x2="${width - pad.right}" y1="${pad.top + plotHeight}" y2="${pad.top + plotHeight}" />
+                    ${guides}
+                    ${paths}
+                    <text class="chart-label" x="${pad.left + plotWidth / 2}" y="${height - 4}" text-anchor="middle">${Utils.sanitizeInput(xLabel)}</text>
+                    <text class="chart-label" x="12" y="${pad.top + plotHeight / 2}" text-anchor="middle"
+                          transform="rotate(-90 12 ${pad.top + plotHeight / 2})">${Utils.sanitizeInput(yLabel)}</text>
+                </svg>
+                <figcaption class="chart-legend">
+                    ${series.map(s => `
+                        <span><i style="background: ${s.color}"></i>${Utils.sanitizeInput(s.label)}</span>
+                    `).join('')}
+                </figcaption>
+            </figure>
+        `;
+    }
+
     // Help system
     showHelp() {
         const helpContent = `
@@ -87,6 +87,21 @@ export class Utils {
         });
     }
 
+    // Race time formatting (seconds → h:mm:ss.s / m:ss.s)
+    static formatRaceTime(seconds) {
+        if (isNaN(seconds)) return '0:00.0';
+
+        const sign = seconds < 0 ? '-' : '';
+        const total = Math.round(Math.abs(seconds) * 10) / 10;
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = (total % 60).toFixed(1).padStart(4, '0');
+
+        return hours > 0
+            ? `${sign}${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+            : `${sign}${minutes}:${secs}`;
+    }
+
     // Flag emoji from country code
     static getFlag(code) {
         if (!code || code.length !== 2) return '🏁';
@@ -138,6 +153,17 @@ export class Utils {
         };
     }
 
+    // Resolves after the browser has had a chance to paint (splits long work into chunks)
+    static waitForPaint() {
+        return new Promise(resolve => {
+            if (typeof requestAnimationFrame === 'function') {
+                requestAnimationFrame(() => setTimeout(resolve, 0));
+            } else {
+                setTimeout(resolve, 0);
+            }
+        });
+    }
+
     // Deep clone object
     static deepClone(obj) {
         if (obj === null || typeof obj !== 'object') return obj;
@@ -157,6 +183,18 @@ export class Utils {
         return Date.now() + Math.random().toString(36).substr(2, 9);
     }
 
+    // Seedable pseudo-random generator (mulberry32), returns floats in [0, 1)
+    static createRandom(seed = Date.now()) {
+        let state = seed >>> 0;
+        return function random() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
     // Local storage helpers with error handling
     static setLocalStorage(key, value) {
         try {
@@ -278,6 +316,18 @@ export class Utils {
         }
     }
 
+    // Save text as a file through a temporary download link
+    static downloadFile(content, filename, mimeType = 'text/plain') {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
     // Device detection
     static isMobile() {
         return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
@@ -327,4 +377,10 @@ export class Utils {
         url.searchParams.set(name, value);
         window.history.pushState({}, '', url);
     }
+
+    static removeUrlParameter(name) {
+        const url = new URL(window.location);
+        url.searchParams.delete(name);
+        window.history.pushState({}, '', url);
+    }
 }
\ No newline at end of file
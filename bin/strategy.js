@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+// Strategy CLI: prints the stint analysis of strategy JSON files (a plan or an array of plans).
+// Usage: ferrari-strategy <estrategia.json | -> [...] [--json] [--optimize] [--strict]
+import { readFile } from 'fs/promises';
+import { StrategyEngine } from '../assets/js/modules/engine.js';
+import { Utils } from '../assets/js/modules/utils.js';
+
+const USAGE = `Uso: ferrari-strategy <estrategia.json | -> [...] [opciones]
+
+Analiza cada estrategia (un plan o una lista de planes por archivo; "-" lee de stdin).
+
+Opciones:
+  --json       Imprime el análisis en JSON
+  --optimize   Añade el plan recomendado por el optimizador
+  --strict     Termina con código 2 si algún plan incumple el reglamento o el depósito
+  --help       Muestra esta ayuda`;
+
+async function readInput(path) {
+    if (path !== '-') return readFile(path, 'utf8');
+
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+function formatStintBoost(segments) {
+    return segments.map(segment => (segment.fromLap > 1 ? `${segment.boost}@${segment.fromLap}` : segment.boost)).join(',');
+}
+
+// Left-aligned columns as wide as their longest cell
+function formatTable(rows) {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+    return rows.map(row => row.map((value, column) => String(value).padEnd(widths[column])).join('  ').trimEnd());
+}
+
+function formatAnalysis(source, analysis, optimized) {
+    const lines = [
+        `${source}: ${analysis.circuit.name} (${analysis.circuit.code}) · ${analysis.category} · ${analysis.tyrePoints}/${analysis.fuelPoints} puntos`,
+        `${analysis.description} · ${analysis.totalLaps}/${analysis.circuit.laps} vueltas`,
+        ...formatTable([
+            ['Stint', 'Comp.', 'Vueltas', 'Empuje', 'Neumático', 'Estado', 'Carga', 'Tiempo'],
+            ...analysis.stints.map(stint => [
+                stint.stint,
+                stint.compound,
+                `${stint.startLap}-${stint.endLap}`,
+                formatStintBoost(stint.boost),
+                `${Utils.formatNumber(stint.tyreRemaining, 1)}%`,
+                stint.status,
+                `${Utils.formatNumber(stint.fuelLoad, 1)} L`,
+                Utils.formatRaceTime(stint.time)
+            ])
+        ]),
+        `Tiempo total: ${Utils.formatRaceTime(analysis.totalTime)} · Combustible: ${Utils.formatNumber(analysis.totalFuel, 1)} L · Puntuación: ${analysis.score}`,
+        ...analysis.violations.map(violation => `⚠️  ${violation.message}`)
+    ];
+
+    if (analysis.totalLaps !== analysis.circuit.laps) {
+        lines.push('⚠️  Las vueltas no coinciden con la distancia de carrera');
+    }
+
+    if (optimized) {
+        lines.push(optimized.success
+            ? `Optimizador: ${optimized.data.recommended.description} · ${Utils.formatRaceTime(optimized.data.recommended.totalTime)}`
+            : `Optimizador: ${optimized.error}`);
+    }
+
+    return lines.join('\n');
+}
+
+async function main(args) {
+    const flags = new Set(args.filter(arg => arg.startsWith('--')));
+    const paths = args.filter(arg => !arg.startsWith('--'));
+
+    if (flags.has('--help') || paths.length === 0) {
+        console.log(USAGE);
+        return paths.length === 0 && !flags.has('--help') ? 1 : 0;
+    }
+
+    const engine = new StrategyEngine();
+    const results = [];
+    let failed = false;
+
+    for (const path of paths) {
+        let plans;
+        try {
+            const parsed = JSON.parse(await readInput(path));
+            plans = Array.isArray(parsed) ? parsed : [parsed];
+        } catch (error) {
+            console.error(`${path}: no se pudo leer la estrategia (${error.message})`);
+            failed = true;
+            continue;
+        }
+
+        plans.forEach((plan, index) => {
+            const source = plans.length > 1 ? `${path}#${index + 1}` : path;
+            const errors = engine.validatePlan(plan);
+            if (errors.length > 0) {
+                errors.forEach(error => console.error(`${source}: ${error}`));
+                failed = true;
+                return;
+            }
+
+            const analysis = engine.analyze(plan);
+            if (!analysis.success) {
+                console.error(`${source}: ${analysis.error}`);
+                failed = true;
+                return;
+            }
+
+            const optimized = flags.has('--optimize') ? engine.optimize(plan) : null;
+
+            results.push({ source, analysis: analysis.data, optimized });
+        });
+    }
+
+    if (flags.has('--json')) {
+        console.log(JSON.stringify(results.map(({ source, analysis, optimized }) => ({
+            source,
+            ...analysis,
+            ...(optimized ? { optimized: optimized.success ? optimized.data.recommended : { error: optimized.error } } : {})
+        })), null, 2));
+    } else if (results.length > 0) {
+        console.log(results.map(({ source, analysis, optimized }) => formatAnalysis(source, analysis, optimized)).join('\n\n'));
+    }
+
+    if (failed) return 1;
+    if (flags.has('--strict') && results.some(({ analysis }) => analysis.violations.length > 0)) return 2;
+    return 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
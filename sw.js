@@ -4,13 +4,17 @@ const urlsToCache = [
     '/',
     '/index.html',
     '/assets/css/main.css',
+    '/assets/css/print.css',
     '/assets/js/main.js',
     '/assets/js/modules/config.js',
     '/assets/js/modules/utils.js',
     '/assets/js/modules/auth.js',
     '/assets/js/modules/database.js',
     '/assets/js/modules/calculations.js',
-    '/assets/js/modules/ui.js'
+    '/assets/js/modules/ui.js',
+    '/assets/js/modules/share.js',
+    '/assets/js/modules/schema.js',
+    '/assets/js/modules/engine.js'
 ];
 
 // Install event - cache resources
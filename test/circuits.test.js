@@ -0,0 +1,38 @@
+// DB circuits (Database.createCircuit): race data is optional and never stored as 0 by default
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Database } from '../assets/js/modules/database.js';
+
+// A database without Firebase that returns what would be written
+const createDatabase = () => {
+    const database = Object.create(Database.prototype);
+    database.executeOperation = async (operation, path, data) => ({ success: true, data });
+    return database;
+};
+
+const circuit = { id: 'c1', flag: 'IT', name: 'Mugello', country: 'Italia', length: '5.2 km', laps: '23' };
+
+test('missing or invalid race data is left out so the defaults apply', async () => {
+    const { data } = await createDatabase().createCircuit({ ...circuit, baseLapTime: '', pitLoss: 'abc', fuelWeightPenalty: '-1' });
+
+    assert.equal(data.laps, 23);
+    assert.equal('baseLapTime' in data, false);
+    assert.equal('pitLoss' in data, false);
+    assert.equal('fuelWeightPenalty' in data, false);
+});
+
+test('valid race data is stored as numbers', async () => {
+    const { data } = await createDatabase().createCircuit({ ...circuit, baseLapTime: '95.5', pitLoss: '21', fuelWeightPenalty: '0.025' });
+
+    assert.equal(data.baseLapTime, 95.5);
+    assert.equal(data.pitLoss, 21);
+    assert.equal(data.fuelWeightPenalty, 0.025);
+});
+
+test('lap time and pit loss must be positive', async () => {
+    const { data } = await createDatabase().createCircuit({ ...circuit, baseLapTime: '0', pitLoss: '0', fuelWeightPenalty: '0' });
+
+    assert.equal('baseLapTime' in data, false);
+    assert.equal('pitLoss' in data, false);
+    assert.equal(data.fuelWeightPenalty, 0);
+});
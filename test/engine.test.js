@@ -0,0 +1,69 @@
+// Headless engine (StrategyEngine) and CLI on the example plan: FRA S 12L + H 12L, 49/100 points, F1
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { execFileSync, spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { StrategyEngine } from '../assets/js/modules/engine.js';
+
+const examplePath = fileURLToPath(new URL('../examples/estrategia-fra.json', import.meta.url));
+const cliPath = fileURLToPath(new URL('../bin/strategy.js', import.meta.url));
+const plan = JSON.parse(readFileSync(examplePath, 'utf8'));
+const engine = new StrategyEngine();
+
+test('analyze simulates every stint of the plan', () => {
+    const result = engine.analyze(plan);
+    assert.ok(result.success);
+
+    const analysis = result.data;
+    assert.equal(analysis.circuit.code, 'FRA');
+    assert.equal(analysis.totalLaps, 24);
+    assert.equal(analysis.pitStops, 1);
+    assert.ok(Math.abs(analysis.totalTime - 2285.66) < 0.1);
+    assert.deepEqual(analysis.violations, []);
+
+    assert.deepEqual(analysis.stints.map(stint => [stint.compound, stint.startLap, stint.endLap, stint.status]), [
+        ['S', 1, 12, 'Aceptable'],
+        ['H', 13, 24, 'Buena']
+    ]);
+    assert.ok(Math.abs(analysis.stints[0].tyreRemaining - 42.27) < 0.01);
+    assert.deepEqual(analysis.stints[0].boost, [{ fromLap: 1, boost: 'muy-alto' }, { fromLap: 8, boost: 'neutral' }]);
+});
+
+test('analyze rejects an invalid plan with the schema errors', () => {
+    const result = engine.analyze({ circuit: 'FRA', stints: [] });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /no tiene stints/);
+});
+
+test('optimize recommends a legal plan faster than the example', () => {
+    const result = engine.optimize(plan);
+    assert.ok(result.success);
+
+    const { recommended, pareto } = result.data;
+    assert.equal(recommended.description, '1 parada: S → H (10L + 14L)');
+    assert.ok(recommended.totalTime < engine.analyze(plan).data.totalTime);
+    assert.equal(pareto[0], recommended);
+
+    const analysis = engine.analyze({ ...plan, stints: recommended.stints.map(({ compound, laps, boost }) => ({ compound, laps, boost })) });
+    assert.ok(analysis.success);
+    assert.deepEqual(analysis.data.violations, []);
+    assert.equal(analysis.data.totalLaps, 24);
+});
+
+test('the CLI prints the analysis as JSON', () => {
+    const output = JSON.parse(execFileSync(process.execPath, [cliPath, examplePath, '--json'], { encoding: 'utf8' }));
+
+    assert.equal(output.length, 1);
+    assert.equal(output[0].totalLaps, 24);
+    assert.equal(output[0].stints.length, 2);
+});
+
+test('the CLI prints only the errors when every plan is invalid', () => {
+    const cli = spawnSync(process.execPath, [cliPath, '-'], { input: JSON.stringify({ ...plan, stints: [] }), encoding: 'utf8' });
+
+    assert.equal(cli.status, 1);
+    assert.equal(cli.stdout, '');
+    assert.match(cli.stderr, /stints/);
+});
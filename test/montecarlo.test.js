@@ -0,0 +1,35 @@
+// Monte Carlo risk analysis (Calculations.runMonteCarlo) on the example plan: seeded runs are
+// reproducible and the probabilities stay within [0, 1]
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { Calculations } from '../assets/js/modules/calculations.js';
+
+const plan = JSON.parse(readFileSync(new URL('../examples/estrategia-fra.json', import.meta.url), 'utf8'));
+const calculations = new Calculations();
+const run = (strategy, options = {}) => calculations.runMonteCarlo(strategy, { runs: 100, ...options });
+
+test('the same seed gives the same results and another seed does not', () => {
+    const first = run(plan, { seed: 7 });
+    const second = run(plan, { seed: 7 });
+    const other = run(plan, { seed: 8 });
+
+    assert.ok(first.success);
+    assert.deepEqual(second.data, first.data);
+    assert.notDeepEqual(other.data.time, first.data.time);
+});
+
+test('probabilities stay between 0 and 1', () => {
+    const { data } = run(plan, { seed: 7 });
+
+    [data.lowTyreProbability, data.fuelOutProbability, ...data.lowTyreProbabilityByStint].forEach(probability => {
+        assert.ok(probability >= 0 && probability <= 1, `${probability}`);
+    });
+});
+
+test('a starved fuel load runs out in some races', () => {
+    const { data } = run({ ...plan, fuelPoints: 1 }, { seed: 7, fuelMargin: 0 });
+
+    assert.ok(data.fuelOutProbability > 0);
+    assert.ok(data.fuelOutProbability <= 1);
+});
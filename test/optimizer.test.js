@@ -0,0 +1,47 @@
+// Optimizer stint options (Calculations.buildStintOptions): boost changes wear through the fuel
+// carried, so slower boosts that save tyre stay in the search
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Calculations } from '../assets/js/modules/calculations.js';
+
+const calculations = new Calculations();
+const plan = { circuit: 'FRA', tyrePoints: 49, fuelPoints: 100, weather: [] };
+const limits = {
+    totalLaps: 24,
+    compounds: ['S'],
+    boostLevels: Object.keys(calculations.boostLevels),
+    minStintLength: 12,
+    maxStintLength: 12,
+    minTyreRemaining: 0,
+    maxStintFuel: Infinity
+};
+
+test('every boost that is not dominated on time and tyre is kept', () => {
+    const options = calculations.buildStintOptions(plan, limits)(1);
+
+    assert.ok(options.length > 1);
+    options.forEach(option => {
+        assert.equal(options.some(other => other !== option &&
+            other.time <= option.time && other.tyreRemaining >= option.tyreRemaining), false);
+    });
+});
+
+test('the Pareto set reaches plans below the fastest boost', () => {
+    const result = calculations.optimizeStrategy('FRA', 24, 49, 100, { category: 'F1' });
+
+    assert.ok(result.success);
+    assert.ok(result.data.pareto.some(strategy => strategy.stints.some(stint => stint.boost !== 'muy-alto')));
+});
+
+test('every Pareto plan meets the race compound rules', () => {
+    const rules = [{ type: 'minDryCompounds', value: 2 }, { type: 'mandatoryCompound', value: 'M' }, { type: 'maxStops', value: 2 }];
+    const optimizer = new Calculations();
+    optimizer.raceRegulations = { F1: { FRA: { rules } } };
+    const result = optimizer.optimizeStrategy('FRA', 24, 49, 100, { category: 'F1' });
+
+    assert.ok(result.success);
+    result.data.pareto.forEach(strategy => {
+        assert.deepEqual(optimizer.checkRegulations(strategy.stints, rules), []);
+    });
+    assert.ok(result.data.recommended.stints.some(stint => stint.compound === 'M'));
+});
@@ -0,0 +1,44 @@
+// Strategy scoring (Calculations.evaluateStrategy): the score comes from the planner context
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Calculations } from '../assets/js/modules/calculations.js';
+
+const calculations = new Calculations();
+const context = { circuit: 'FRA', tyrePoints: 49, fuelPoints: 100 };
+const plan = (...stints) => ({ stints: stints.map(([compound, laps]) => ({ compound, laps, boost: 'neutral' })) });
+
+test('different plans get different scores', () => {
+    const scores = [
+        plan(['S', 12], ['H', 12]),
+        plan(['H', 24]),
+        plan(['M', 24]),
+        plan(['SS', 12], ['M', 12])
+    ].map(strategy => calculations.evaluateStrategy(strategy, context));
+
+    assert.equal(new Set(scores).size, scores.length);
+    assert.deepEqual([...scores].sort((a, b) => b - a), scores);
+});
+
+test('the same plan scores differently on different circuits', () => {
+    const strategy = plan(['S', 12], ['H', 12]);
+    const scores = ['FRA', 'MON', 'HUN'].map(circuit => calculations.evaluateStrategy(strategy, { ...context, circuit }));
+
+    assert.equal(new Set(scores).size, scores.length);
+});
+
+test('more tyre points raise the score of the same plan', () => {
+    const strategy = plan(['S', 12], ['H', 12]);
+
+    assert.ok(calculations.evaluateStrategy(strategy, { ...context, tyrePoints: 150 }) >
+        calculations.evaluateStrategy(strategy, context));
+});
+
+test('an unknown circuit scores 0', () => {
+    assert.equal(calculations.evaluateStrategy(plan(['S', 12], ['H', 12]), { ...context, circuit: 'France' }), 0);
+});
+
+test('resolvePlanContext accepts a bare circuit code with default points', () => {
+    assert.deepEqual(calculations.resolvePlanContext('FRA'), {
+        circuit: 'FRA', tyrePoints: 100, fuelPoints: 100, weather: [], category: null, safetyCar: null
+    });
+});
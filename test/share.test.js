@@ -0,0 +1,44 @@
+// Share links (StrategyShare.decode): a link only opens when it is a valid strategy
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StrategyShare } from '../assets/js/modules/share.js';
+
+const share = new StrategyShare();
+
+test('a valid link decodes to the encoded plan', () => {
+    const plan = {
+        circuit: 'FRA', category: 'F1', tyrePoints: 49, fuelPoints: 100,
+        stints: [
+            { compound: 'S', laps: 12, boost: 'muy-alto', boostPlan: [{ fromLap: 8, boost: 'neutral' }] },
+            { compound: 'H', laps: 12, boost: 'neutral' }
+        ],
+        weather: [{ fromLap: 15, condition: 'dry' }]
+    };
+    const result = share.decode(share.encode(plan));
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data, plan);
+});
+
+test('a boost change on the first lap of a stint is rejected with its field', () => {
+    const result = share.decode('1~FRA~F1~49~100~S12x_n1.H12n');
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /vuelta 2/);
+    assert.deepEqual(result.errors.map(error => error.field), ['stints[0].boostPlan[0].fromLap']);
+});
+
+test('a forecast from lap 0 is rejected with its field', () => {
+    const result = share.decode('1~FRA~F1~49~100~S12x.H12n~w0');
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.errors.map(error => error.field), ['weather[0].fromLap']);
+});
+
+test('more stints than allowed are rejected', () => {
+    const stints = Array.from({ length: share.schema.maxStints + 1 }, () => 'H2n').join('.');
+    const result = share.decode(`1~FRA~F1~49~100~${stints}`);
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.errors.map(error => error.field), ['stints']);
+});
@@ -0,0 +1,68 @@
+// Tyre curve (Calculations.calculateTyreCurve / describeTyreCurve) and the condition and pit tables
+// in config: the curve's laps must match calculateTyreWear stint by stint length
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Calculations } from '../assets/js/modules/calculations.js';
+
+const calculations = new Calculations();
+const laps = 40;
+const wearAt = (lap) => calculations.calculateTyreWear('FRA', 'S', lap, 49);
+const firstLap = (reached) => {
+    for (let lap = 1; lap <= laps; lap++) {
+        if (reached(wearAt(lap))) return lap;
+    }
+    return null;
+};
+
+test('band laps and the critical lap match calculateTyreWear', () => {
+    const { data } = calculations.calculateTyreCurve('FRA', 'S', laps, 49);
+
+    assert.equal(data.points.length, laps + 1);
+    assert.deepEqual(data.points[0], [0, 100]);
+    data.states.forEach(state => {
+        assert.equal(state.fromLap, firstLap(wear => wear.performanceImpact.status === state.status), state.status);
+    });
+    assert.ok(data.criticalLap !== null);
+    assert.equal(data.criticalLap, firstLap(wear => wear.performanceImpact.status === 'Crítica'));
+});
+
+test('pit thresholds start on the lap calculateTyreWear changes its advice', () => {
+    const { data } = calculations.calculateTyreCurve('FRA', 'S', laps, 49);
+    const steps = calculations.pitWindow;
+
+    assert.equal(data.pitThresholds.length, steps.length - 1);
+    // Each threshold carries the advice that applies once the tyre is down to it
+    data.pitThresholds.forEach((threshold, index) => {
+        assert.equal(threshold.recommendation, steps[index + 1].recommendation);
+        assert.equal(threshold.fromLap, firstLap(wear => wear.recommendedPitWindow.recommendation === threshold.recommendation));
+    });
+});
+
+test('condition and pit advice follow the config tables at their boundaries', () => {
+    const status = (remaining) => calculations.calculatePerformanceImpact(remaining).status;
+    const advice = (remaining) => calculations.calculatePitWindow(remaining).urgency;
+
+    assert.equal(status(100), 'Excelente');
+    assert.equal(status(80), 'Excelente');
+    assert.equal(status(79.9), 'Buena');
+    assert.equal(status(40), 'Aceptable');
+    assert.equal(status(19.9), 'Crítica');
+    assert.equal(status(0), 'Crítica');
+    assert.equal(advice(70.1), 'low');
+    assert.equal(advice(70), 'medium');
+    assert.equal(advice(20.1), 'high');
+    assert.equal(advice(20), 'critical');
+    assert.equal(advice(0), 'critical');
+});
+
+test('a simulated stint is described from its own laps', () => {
+    const plan = { circuit: 'FRA', category: 'F1', tyrePoints: 49, fuelPoints: 100, stints: [{ compound: 'S', laps, boost: 'neutral' }] };
+    const simulation = calculations.simulateRace(plan);
+    const points = [[0, 100], ...simulation.data.laps.map(lap => [lap.stintLap, lap.tyreRemaining])];
+    const curve = calculations.describeTyreCurve(points);
+    const dry = calculations.calculateTyreCurve('FRA', 'S', laps, 49).data;
+
+    assert.equal(curve.points[laps][1], simulation.data.stints[0].tyreRemaining);
+    // Fuel on board wears the tyre faster than the fuel-free model
+    assert.ok(curve.criticalLap <= dry.criticalLap);
+});